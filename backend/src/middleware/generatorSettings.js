@@ -0,0 +1,17 @@
+const { body } = require('express-validator');
+
+/**
+ * Validation for the generator settings interpolated into the compose file:
+ * organization settings and the project metadata that overrides them. Same
+ * patterns as the blueprint schema, so saved projects always export.
+ */
+const generatorSettings = (field) => [
+  body(`${field}.networkName`).optional({ checkFalsy: true }).matches(/^[a-zA-Z0-9][a-zA-Z0-9_.-]*$/)
+    .withMessage('Network name may only contain letters, digits, "_", "." and "-"'),
+  body(`${field}.composeVersion`).optional({ checkFalsy: true }).matches(/^\d+(\.\d+)?$/)
+    .withMessage('Compose version must look like "3.8"'),
+  body(`${field}.registryPrefix`).optional({ checkFalsy: true }).matches(/^[a-z0-9][a-z0-9._:/-]*[a-z0-9]$/)
+    .withMessage('Registry prefix must look like "registry.example.com/team"')
+];
+
+module.exports = generatorSettings;
@@ -0,0 +1,31 @@
+const Organization = require('../models/Organization');
+
+/**
+ * Load the organization in req.params.orgId and require at least the given
+ * member role. Non-members get a 404 so private organizations are not revealed.
+ */
+const organizationAccess = (minRole = 'member') => async (req, res, next) => {
+  try {
+    const organization = await Organization.findById(req.params.orgId);
+
+    if (!organization || !organization.getMemberRole(req.userId)) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+
+    if (!organization.hasRole(req.userId, minRole)) {
+      return res.status(403).json({ error: `This action requires the ${minRole} role in the organization` });
+    }
+
+    req.organization = organization;
+    req.organizationRole = organization.getMemberRole(req.userId);
+    next();
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+    console.error('Organization access error:', error);
+    res.status(500).json({ error: 'Server error checking organization access' });
+  }
+};
+
+module.exports = organizationAccess;
@@ -0,0 +1,32 @@
+const Project = require('../models/Project');
+
+/**
+ * Load the project in req.params.id and require at least the given role on it.
+ * Users without any access get a 404 so private projects are not revealed.
+ */
+const projectAccess = (minRole = 'viewer') => async (req, res, next) => {
+  try {
+    // Organization members get access through their workspace role
+    const project = await Project.findById(req.params.id).populate('organization', 'name members settings');
+
+    if (!project || !project.getRoleFor(req.userId)) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (!project.hasRole(req.userId, minRole)) {
+      return res.status(403).json({ error: `This action requires the ${minRole} role on the project` });
+    }
+
+    req.project = project;
+    req.projectRole = project.getRoleFor(req.userId);
+    next();
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    console.error('Project access error:', error);
+    res.status(500).json({ error: 'Server error checking project access' });
+  }
+};
+
+module.exports = projectAccess;
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const generatedFileSchema = new mongoose.Schema({
+  path: {
+    type: String,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  },
+  size: Number,
+  // Null for binary or oversized files, which are tracked by hash only
+  content: {
+    type: String,
+    default: null
+  }
+}, { _id: false });
+
+const generationSchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  files: [generatedFileSchema]
+}, {
+  timestamps: true
+});
+
+generationSchema.index({ project: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Generation', generationSchema);
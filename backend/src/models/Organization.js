@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const ORGANIZATION_ROLES = ['member', 'admin', 'owner'];
+const ROLE_RANK = { member: 1, admin: 2, owner: 3 };
+
+const memberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ORGANIZATION_ROLES,
+    default: 'member'
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  members: [memberSchema],
+  // Defaults inherited by every project generated in this workspace
+  settings: {
+    networkName: {
+      type: String,
+      trim: true
+    },
+    composeVersion: {
+      type: String,
+      trim: true
+    },
+    registryPrefix: {
+      type: String,
+      trim: true
+    }
+  }
+}, {
+  timestamps: true
+});
+
+organizationSchema.index({ 'members.user': 1 });
+
+organizationSchema.methods.getMemberRole = function(userId) {
+  const member = this.members.find(m => String(m.user?._id || m.user) === String(userId));
+  return member ? member.role : null;
+};
+
+organizationSchema.methods.hasRole = function(userId, minRole) {
+  const role = this.getMemberRole(userId);
+  return Boolean(role) && ROLE_RANK[role] >= ROLE_RANK[minRole];
+};
+
+// Ids of every organization a user belongs to
+organizationSchema.statics.idsForUser = async function(userId) {
+  const organizations = await this.find({ 'members.user': userId }).select('_id');
+  return organizations.map(org => org._id);
+};
+
+organizationSchema.statics.ROLES = ORGANIZATION_ROLES;
+
+module.exports = mongoose.model('Organization', organizationSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const templateRegistry = require('../services/templateRegistry');
 
 const serviceSchema = new mongoose.Schema({
   id: {
@@ -8,8 +9,10 @@ const serviceSchema = new mongoose.Schema({
   type: {
     type: String,
     required: true,
-    enum: ['react', 'vue', 'angular', 'node', 'python-flask', 'python-fastapi', 
-           'mongodb', 'postgresql', 'mysql', 'redis', 'pyspark']
+    validate: {
+      validator: (type) => templateRegistry.has(type),
+      message: (props) => `${props.value} is not a registered service template`
+    }
   },
   label: {
     type: String,
@@ -40,12 +43,39 @@ const connectionSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // rest, grpc, database, cache, queue or websocket; 'default' infers it from the target
   type: {
     type: String,
     default: 'default'
   }
 }, { _id: false });
 
+const PROJECT_ROLES = ['viewer', 'editor', 'admin'];
+
+// Owners outrank every collaborator role
+const ROLE_RANK = { viewer: 1, editor: 2, admin: 3, owner: 4 };
+
+const collaboratorSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: PROJECT_ROLES,
+    default: 'viewer'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const projectSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -63,23 +93,40 @@ const projectSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Team workspace the project lives in; personal projects have none
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  collaborators: [collaboratorSchema],
   services: [serviceSchema],
   connections: [connectionSchema],
+  // Unset fields fall back to the organization settings, then to builder defaults
   metadata: {
-    networkName: {
-      type: String,
-      default: 'app-network'
-    },
-    composeVersion: {
-      type: String,
-      default: '3.8'
-    }
+    networkName: String,
+    composeVersion: String,
+    registryPrefix: String,
+    // Adds Loki and Promtail to the stack and switches backends to JSON logs
+    logging: Boolean,
+    // Adds an OpenTelemetry collector and Jaeger, and instruments the backends
+    tracing: Boolean
   },
   tags: [String],
+  // Listed in the public gallery, where anyone can view and fork it
   isPublic: {
     type: Boolean,
     default: false
   },
+  forkedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null
+  },
+  forkCount: {
+    type: Number,
+    default: 0
+  },
   lastGenerated: {
     type: Date
   }
@@ -89,6 +136,54 @@ const projectSchema = new mongoose.Schema({
 
 // Index for faster queries
 projectSchema.index({ owner: 1, createdAt: -1 });
+projectSchema.index({ 'collaborators.user': 1 });
+projectSchema.index({ organization: 1, updatedAt: -1 });
+projectSchema.index({ isPublic: 1, updatedAt: -1 });
+projectSchema.index({ isPublic: 1, tags: 1 });
 projectSchema.index({ name: 'text', description: 'text' });
 
+// The organization owns the projects of its workspace: its owner and admins
+// own them, members edit them. Whoever created one has no rights of their own,
+// so removing them from the organization takes their access away.
+const ORGANIZATION_PROJECT_ROLES = { owner: 'owner', admin: 'owner', member: 'editor' };
+
+// Role of a user on this project: owner, a collaborator role, or null.
+// Organization membership only counts when `organization` is populated.
+projectSchema.methods.getRoleFor = function(userId) {
+  const ownerId = this.owner?._id || this.owner;
+  if (!this.organization && String(ownerId) === String(userId)) {
+    return 'owner';
+  }
+
+  const collaborator = this.collaborators.find(c => String(c.user?._id || c.user) === String(userId));
+  const organizationRole = typeof this.organization?.getMemberRole === 'function'
+    ? ORGANIZATION_PROJECT_ROLES[this.organization.getMemberRole(userId)]
+    : null;
+
+  const roles = [collaborator?.role, organizationRole].filter(Boolean);
+  if (roles.length === 0) {
+    return null;
+  }
+  return roles.reduce((best, role) => (ROLE_RANK[role] > ROLE_RANK[best] ? role : best));
+};
+
+projectSchema.methods.hasRole = function(userId, minRole) {
+  const role = this.getRoleFor(userId);
+  return Boolean(role) && ROLE_RANK[role] >= ROLE_RANK[minRole];
+};
+
+// Personal projects a user owns, projects they have been invited to and those
+// that live in one of their organizations
+projectSchema.statics.accessibleBy = function(userId, organizationIds = []) {
+  return {
+    $or: [
+      { owner: userId, organization: null },
+      { 'collaborators.user': userId },
+      { organization: { $in: organizationIds } }
+    ]
+  };
+};
+
+projectSchema.statics.ROLES = PROJECT_ROLES;
+
 module.exports = mongoose.model('Project', projectSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const projectVersionSchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  // Copy of the project design as it was saved
+  snapshot: {
+    name: String,
+    description: String,
+    services: mongoose.Schema.Types.Mixed,
+    connections: mongoose.Schema.Types.Mixed,
+    metadata: mongoose.Schema.Types.Mixed,
+    tags: [String]
+  }
+}, {
+  timestamps: true
+});
+
+projectVersionSchema.index({ project: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('ProjectVersion', projectVersionSchema);
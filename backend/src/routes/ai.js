@@ -203,9 +203,31 @@ router.post('/generate-full', auth, async (req, res) => {
   }
 });
 
+// Exports as JSON, or zipped when they include the Helm chart, which is a directory of files
+const sendExports = async (res, blueprint, formats) => {
+  const exports = await mcpService.exportConfiguration(blueprint, { formats });
+
+  if (!exports.helm) {
+    return res.json({
+      success: true,
+      exports
+    });
+  }
+
+  const result = await builderService.generateExportArchive(blueprint, exports);
+
+  res.set({
+    'Content-Type': 'application/zip',
+    'Content-Disposition': `attachment; filename="${result.chartName}-helm.zip"`,
+    'Content-Length': result.size
+  });
+
+  result.stream.pipe(res);
+};
+
 /**
  * @route   POST /api/ai/export
- * @desc    Export blueprint to various formats
+ * @desc    Export blueprint to various formats; a zip when formats include helm
  * @access  Private
  */
 router.post('/export', auth, async (req, res) => {
@@ -216,12 +238,7 @@ router.post('/export', auth, async (req, res) => {
       return res.status(400).json({ error: 'Blueprint is required' });
     }
 
-    const exports = await mcpService.exportConfiguration(blueprint, { formats });
-
-    res.json({
-      success: true,
-      exports
-    });
+    await sendExports(res, blueprint, formats);
   } catch (error) {
     console.error('Export error:', error);
     res.status(500).json({ 
@@ -231,6 +248,29 @@ router.post('/export', auth, async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/ai/export/helm
+ * @desc    Alias of /export with formats ["helm"]
+ * @access  Private
+ */
+router.post('/export/helm', auth, async (req, res) => {
+  try {
+    const { blueprint } = req.body;
+
+    if (!blueprint) {
+      return res.status(400).json({ error: 'Blueprint is required' });
+    }
+
+    await sendExports(res, blueprint, ['helm']);
+  } catch (error) {
+    console.error('Helm export error:', error);
+    res.status(500).json({ 
+      error: 'Failed to export Helm chart', 
+      details: error.message 
+    });
+  }
+});
+
 /**
  * @route   GET /api/ai/capabilities
  * @desc    Get MCP server capabilities
@@ -250,7 +290,7 @@ router.get('/capabilities', (req, res) => {
       'Natural Language to Blueprint Conversion',
       'Intelligent Service Configuration',
       'Best Practice Recommendations',
-      'Multi-format Export (Docker Compose, K8s, Terraform)',
+      'Multi-format Export (Docker Compose, K8s, Terraform, Helm)',
       'Real-time Validation',
       'Architecture Optimization Suggestions'
     ]
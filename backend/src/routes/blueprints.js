@@ -0,0 +1,71 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const blueprintService = require('../services/blueprintService');
+const Organization = require('../models/Organization');
+
+// @route   GET /api/blueprints/schema
+// @desc    JSON Schema of the kontrol.blueprint.yaml format
+// @access  Public
+router.get('/schema', (req, res) => {
+  res.json(blueprintService.schema);
+});
+
+// @route   POST /api/blueprints/export
+// @desc    Download the canvas design as kontrol.blueprint.yaml
+// @access  Private
+router.post('/export', auth, [
+  body('name').trim().notEmpty().withMessage('Project name is required'),
+  body('services').isArray().withMessage('Services must be an array'),
+  body('connections').optional().isArray().withMessage('Connections must be an array')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    res.set({
+      'Content-Type': 'application/yaml',
+      'Content-Disposition': `attachment; filename="${blueprintService.fileName}"`
+    });
+    res.send(blueprintService.serialize(req.body));
+  } catch (error) {
+    console.error('Export blueprint error:', error);
+    res.status(500).json({
+      error: 'Failed to export blueprint',
+      details: error.message
+    });
+  }
+});
+
+// @route   POST /api/blueprints/import
+// @desc    Validate a kontrol.blueprint.yaml and return it as project data
+// @access  Private
+router.post('/import', auth, [
+  body('content').isString().notEmpty().withMessage('File content is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const templateOwners = [req.userId, ...await Organization.idsForUser(req.userId)];
+    const blueprint = blueprintService.parse(req.body.content, { templateOwners });
+
+    res.json({ blueprint });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, details: error.details });
+    }
+    console.error('Import blueprint error:', error);
+    res.status(500).json({
+      error: 'Failed to import blueprint',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
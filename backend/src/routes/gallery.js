@@ -0,0 +1,174 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const Project = require('../models/Project');
+const Organization = require('../models/Organization');
+const templateRegistry = require('../services/templateRegistry');
+const versionService = require('../services/versionService');
+const auth = require('../middleware/auth');
+
+// Only the design is published; collaborators and workspace details stay private
+const PUBLIC_FIELDS = 'name description owner services connections tags forkCount forkedFrom createdAt updatedAt';
+
+const MAX_PAGE_SIZE = 50;
+
+// @route   GET /api/gallery?search=&tag=&page=&limit=
+// @desc    List public projects, optionally matching a text search and tags
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 12, 1), MAX_PAGE_SIZE);
+    const { search } = req.query;
+    // ?tag=a&tag=b or ?tag=a,b; projects must carry every tag
+    const tags = [].concat(req.query.tag || [])
+      .flatMap(tag => String(tag).split(','))
+      .map(tag => tag.trim().toLowerCase())
+      .filter(Boolean);
+
+    const query = { isPublic: true };
+
+    if (search) {
+      query.$text = { $search: search };
+    }
+    if (tags.length > 0) {
+      query.tags = { $all: tags };
+    }
+
+    // Best matches first when searching, most recently updated otherwise
+    const sort = search
+      ? { score: { $meta: 'textScore' }, updatedAt: -1 }
+      : { updatedAt: -1 };
+
+    const projects = await Project.find(query, search ? { score: { $meta: 'textScore' } } : {})
+      .select(PUBLIC_FIELDS)
+      .sort(sort)
+      .limit(limit)
+      .skip((page - 1) * limit)
+      .populate('owner', 'username');
+
+    const count = await Project.countDocuments(query);
+
+    res.json({
+      projects,
+      totalPages: Math.ceil(count / limit),
+      currentPage: page,
+      totalProjects: count
+    });
+  } catch (error) {
+    console.error('Get gallery error:', error);
+    res.status(500).json({ error: 'Server error fetching gallery' });
+  }
+});
+
+// @route   GET /api/gallery/tags
+// @desc    Tags used by public projects, most popular first
+// @access  Public
+router.get('/tags', async (req, res) => {
+  try {
+    const tags = await Project.aggregate([
+      { $match: { isPublic: true } },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: 50 }
+    ]);
+
+    res.json({ tags: tags.map(({ _id, count }) => ({ tag: _id, count })) });
+  } catch (error) {
+    console.error('Get gallery tags error:', error);
+    res.status(500).json({ error: 'Server error fetching tags' });
+  }
+});
+
+// @route   GET /api/gallery/:id
+// @desc    Get a single public project
+// @access  Public
+router.get('/:id', async (req, res) => {
+  try {
+    const project = await Project.findOne({ _id: req.params.id, isPublic: true })
+      .select(PUBLIC_FIELDS)
+      .populate('owner', 'username')
+      .catch(() => null);
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    res.json({ project });
+  } catch (error) {
+    console.error('Get gallery project error:', error);
+    res.status(500).json({ error: 'Server error fetching project' });
+  }
+});
+
+// @route   POST /api/gallery/:id/fork
+// @desc    Copy a public project into the user's personal or organization workspace
+// @access  Private
+router.post('/:id/fork', auth, [
+  body('name').optional().trim().notEmpty().isLength({ max: 100 }).withMessage('Project name must be 1-100 characters'),
+  body('organization').optional({ nullable: true }).isMongoId().withMessage('Invalid organization')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const source = await Project.findOne({ _id: req.params.id, isPublic: true }).catch(() => null);
+    if (!source) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const { organization } = req.body;
+    if (organization) {
+      const org = await Organization.findById(organization);
+      if (!org || !org.getMemberRole(req.userId)) {
+        return res.status(404).json({ error: 'Organization not found' });
+      }
+    }
+
+    // Uploaded templates stay private to their owner, even in public designs
+    const templateOwners = [req.userId, ...await Organization.idsForUser(req.userId)];
+    const unavailable = [...new Set(
+      source.services
+        .map(service => service.type)
+        .filter(type => !templateRegistry.isAvailableTo(type, templateOwners))
+    )];
+    if (unavailable.length > 0) {
+      return res.status(400).json({
+        error: `This project uses custom templates you do not have: ${unavailable.join(', ')}`
+      });
+    }
+
+    const { services, connections, metadata, tags } = source.toObject();
+    const name = req.body.name || `${source.name} (fork)`.slice(0, 100);
+
+    const project = new Project({
+      name,
+      description: source.description,
+      owner: req.userId,
+      organization: organization || null,
+      services,
+      connections,
+      metadata,
+      tags,
+      forkedFrom: source._id
+    });
+
+    await project.save();
+    await versionService.snapshot(project, req.userId, `Forked from "${source.name}"`);
+
+    await Project.updateOne({ _id: source._id }, { $inc: { forkCount: 1 } });
+
+    res.status(201).json({
+      message: 'Project forked successfully',
+      project
+    });
+  } catch (error) {
+    console.error('Fork project error:', error);
+    res.status(500).json({ error: 'Server error forking project' });
+  }
+});
+
+module.exports = router;
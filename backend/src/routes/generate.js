@@ -3,7 +3,10 @@ const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const auth = require('../middleware/auth');
 const builderService = require('../services/builderService');
+const generationService = require('../services/generationService');
+const templateRegistry = require('../services/templateRegistry');
 const Project = require('../models/Project');
+const Organization = require('../models/Organization');
 
 // Validation middleware
 const validateGenerate = [
@@ -11,6 +14,56 @@ const validateGenerate = [
   body('projectName').trim().notEmpty().withMessage('Project name is required')
 ];
 
+/**
+ * Resolve what a generation runs against: the saved project (if any), the
+ * organization whose settings it inherits, and whose custom templates it may use
+ */
+const resolveContext = async (req) => {
+  const { projectId, organizationId } = req.body;
+  const organizationIds = await Organization.idsForUser(req.userId);
+  let project = null;
+  let organization = null;
+
+  if (projectId) {
+    project = await Project.findById(projectId).populate('organization').catch(() => null);
+    if (!project || !project.getRoleFor(req.userId)) {
+      return { error: { status: 404, message: 'Project not found' } };
+    }
+    organization = project.organization;
+  } else if (organizationId) {
+    // Unsaved designs opened in an organization workspace
+    if (!organizationIds.some(id => String(id) === String(organizationId))) {
+      return { error: { status: 404, message: 'Organization not found' } };
+    }
+    organization = await Organization.findById(organizationId);
+  }
+
+  // Shared projects may use the owner's and the organization's uploaded templates:
+  // editors for any service, viewers only for the service types saved on the project
+  const templateOwners = [req.userId, ...organizationIds];
+  let sharedTemplates = null;
+  if (project) {
+    const projectOwners = [project.owner, ...(organization ? [organization._id] : [])];
+    if (project.hasRole(req.userId, 'editor')) {
+      templateOwners.push(...projectOwners);
+    } else {
+      sharedTemplates = { owners: projectOwners, types: new Set(project.services.map(service => service.type)) };
+    }
+  }
+
+  return { project, organization, templateOwners, sharedTemplates };
+};
+
+// Uploaded templates are private to their owner
+const findUnavailableTypes = (services, templateOwners, sharedTemplates) => [
+  ...new Set(
+    services
+      .map(service => service.type)
+      .filter(type => !templateRegistry.isAvailableTo(type, templateOwners) &&
+        !(sharedTemplates?.types.has(type) && templateRegistry.isAvailableTo(type, sharedTemplates.owners)))
+  )
+];
+
 // @route   POST /api/generate
 // @desc    Generate project files from architecture
 // @access  Private
@@ -21,7 +74,19 @@ router.post('/', auth, validateGenerate, async (req, res) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { services, connections, projectName, metadata, projectId } = req.body;
+    const { services, connections, projectName, metadata } = req.body;
+
+    const { project, organization, templateOwners, sharedTemplates, error } = await resolveContext(req);
+    if (error) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    const unavailable = findUnavailableTypes(services, templateOwners, sharedTemplates);
+    if (unavailable.length > 0) {
+      return res.status(400).json({
+        error: `Unknown service type(s): ${unavailable.join(', ')}`
+      });
+    }
 
     console.log(`🔨 Generating project: ${projectName}`);
     console.log(`📦 Services: ${services.length}`);
@@ -32,14 +97,16 @@ router.post('/', auth, validateGenerate, async (req, res) => {
       projectName,
       services,
       connections: connections || [],
-      metadata: metadata || {}
+      metadata: metadata || {},
+      organization
     });
 
-    // Update project's lastGenerated timestamp if projectId provided
-    if (projectId) {
-      await Project.findByIdAndUpdate(projectId, {
-        lastGenerated: new Date()
-      });
+    // Update project's lastGenerated timestamp and record the output as the next diff baseline.
+    // Viewers may download, but only editors move the diff baseline.
+    if (project && project.hasRole(req.userId, 'editor')) {
+      project.lastGenerated = new Date();
+      await project.save();
+      await generationService.record(project._id, req.userId, result.files);
     }
 
     // Send the zip file
@@ -62,43 +129,120 @@ router.post('/', auth, validateGenerate, async (req, res) => {
   }
 });
 
+// @route   POST /api/generate/preview
+// @desc    Generate project files and return the file tree and contents as JSON
+// @access  Private
+router.post('/preview', auth, validateGenerate, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { services, connections, projectName, metadata } = req.body;
+
+    const { project, organization, templateOwners, sharedTemplates, error } = await resolveContext(req);
+    if (error) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    const unavailable = findUnavailableTypes(services, templateOwners, sharedTemplates);
+    if (unavailable.length > 0) {
+      return res.status(400).json({
+        error: `Unknown service type(s): ${unavailable.join(', ')}`
+      });
+    }
+
+    const preview = await builderService.previewProject({
+      projectName,
+      services,
+      connections: connections || [],
+      metadata: metadata || {},
+      organization
+    });
+
+    res.json(preview);
+
+  } catch (error) {
+    console.error('Preview project error:', error);
+    res.status(500).json({
+      error: 'Failed to preview project',
+      details: error.message
+    });
+  }
+});
+
+// @route   POST /api/generate/diff
+// @desc    Regenerate a project and diff every file against its last generation
+// @access  Private
+router.post('/diff', auth, [
+  ...validateGenerate,
+  body('projectId').isMongoId().withMessage('A saved project is required to diff against')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { services, connections, projectName, metadata, record } = req.body;
+
+    const { project, organization, templateOwners, sharedTemplates, error } = await resolveContext(req);
+    if (error) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    const unavailable = findUnavailableTypes(services, templateOwners, sharedTemplates);
+    if (unavailable.length > 0) {
+      return res.status(400).json({
+        error: `Unknown service type(s): ${unavailable.join(', ')}`
+      });
+    }
+
+    if (record && !project.hasRole(req.userId, 'editor')) {
+      return res.status(403).json({ error: 'Recording a generation requires the editor role' });
+    }
+
+    const files = await builderService.renderProjectFiles({
+      projectName,
+      services,
+      connections: connections || [],
+      metadata: metadata || {},
+      organization
+    });
+
+    // Without a previous generation every file shows up as added
+    const previous = await generationService.getLatest(project._id);
+    const result = generationService.diff(previous ? previous.files : [], files);
+
+    // Opt in to making this output the baseline once the patch has been applied
+    if (record) {
+      await generationService.record(project._id, req.userId, files);
+      project.lastGenerated = new Date();
+      await project.save();
+    }
+
+    res.json({
+      projectId: project._id,
+      previousGeneratedAt: previous ? previous.createdAt : null,
+      recorded: Boolean(record),
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Diff project error:', error);
+    res.status(500).json({
+      error: 'Failed to diff project',
+      details: error.message
+    });
+  }
+});
+
 // @route   GET /api/generate/supported-services
 // @desc    Get list of supported service types
 // @access  Public
 router.get('/supported-services', (req, res) => {
-  const supportedServices = [
-    {
-      category: 'Frontend',
-      services: [
-        { type: 'react', name: 'React', icon: '⚛️', defaultPort: 3000 },
-        { type: 'vue', name: 'Vue.js', icon: '💚', defaultPort: 8080 },
-        { type: 'angular', name: 'Angular', icon: '🅰️', defaultPort: 4200 }
-      ]
-    },
-    {
-      category: 'Backend',
-      services: [
-        { type: 'node', name: 'Node.js (Express)', icon: '🟢', defaultPort: 5000 },
-        { type: 'python-flask', name: 'Python (Flask)', icon: '🐍', defaultPort: 5000 },
-        { type: 'python-fastapi', name: 'Python (FastAPI)', icon: '⚡', defaultPort: 8000 }
-      ]
-    },
-    {
-      category: 'Database',
-      services: [
-        { type: 'mongodb', name: 'MongoDB', icon: '🍃', defaultPort: 27017 },
-        { type: 'postgresql', name: 'PostgreSQL', icon: '🐘', defaultPort: 5432 },
-        { type: 'mysql', name: 'MySQL', icon: '🐬', defaultPort: 3306 }
-      ]
-    },
-    {
-      category: 'Cache & Others',
-      services: [
-        { type: 'redis', name: 'Redis', icon: '🔴', defaultPort: 6379 },
-        { type: 'pyspark', name: 'PySpark', icon: '✨', defaultPort: 8080 }
-      ]
-    }
-  ];
+  const supportedServices = templateRegistry.getCategories();
 
   res.json({ supportedServices });
 });
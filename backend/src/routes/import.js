@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const importService = require('../services/importService');
+const Organization = require('../models/Organization');
+
+const validateImport = [
+  body('content').isString().notEmpty().withMessage('File content is required'),
+  body('fileName').optional().isString()
+];
+
+// Shared handler: convert the uploaded file with `convert` and return the blueprint
+const importWith = (convert, source) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const templateOwners = [req.userId, ...await Organization.idsForUser(req.userId)];
+    const blueprint = convert(req.body.content, {
+      name: req.body.fileName,
+      templateOwners
+    });
+
+    if (blueprint.services.length === 0) {
+      return res.status(400).json({
+        error: `None of the services in the ${source} match a known service type`,
+        warnings: blueprint.warnings
+      });
+    }
+
+    res.json({ blueprint });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error(`Import ${source} error:`, error);
+    res.status(500).json({
+      error: `Failed to import ${source}`,
+      details: error.message
+    });
+  }
+};
+
+// @route   POST /api/import/compose
+// @desc    Convert a docker-compose.yml into a blueprint for the canvas
+// @access  Private
+router.post('/compose', auth, validateImport,
+  importWith((content, options) => importService.fromCompose(content, options), 'compose file'));
+
+// @route   POST /api/import/kubernetes
+// @desc    Convert multi-document Kubernetes YAML into a blueprint for the canvas
+// @access  Private
+router.post('/kubernetes', auth, validateImport,
+  importWith((content, options) => importService.fromKubernetes(content, options), 'Kubernetes manifests'));
+
+module.exports = router;
@@ -0,0 +1,263 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const Organization = require('../models/Organization');
+const Project = require('../models/Project');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const organizationAccess = require('../middleware/organizationAccess');
+const generatorSettings = require('../middleware/generatorSettings');
+const collaborationService = require('../services/collaborationService');
+
+const validateOrganization = [
+  body('name').optional().trim().notEmpty().isLength({ max: 100 }).withMessage('Organization name is required'),
+  ...generatorSettings('settings')
+];
+
+const validateMemberRole = [
+  body('role').isIn(['member', 'admin']).withMessage('Role must be "member" or "admin"')
+];
+
+// Organization with member details, for responses
+const toResponse = async (organization, userId) => {
+  await organization.populate('members.user', 'username email');
+
+  return {
+    ...organization.toObject(),
+    role: organization.getMemberRole(userId)
+  };
+};
+
+// @route   GET /api/organizations
+// @desc    List the organizations the user belongs to
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const organizations = await Organization.find({ 'members.user': req.userId }).sort({ name: 1 });
+
+    res.json({
+      organizations: organizations.map(org => ({
+        _id: org._id,
+        name: org.name,
+        settings: org.settings,
+        memberCount: org.members.length,
+        role: org.getMemberRole(req.userId)
+      }))
+    });
+  } catch (error) {
+    console.error('Get organizations error:', error);
+    res.status(500).json({ error: 'Server error fetching organizations' });
+  }
+});
+
+// @route   POST /api/organizations
+// @desc    Create an organization owned by the user
+// @access  Private
+router.post('/', auth, [
+  body('name').trim().notEmpty().withMessage('Organization name is required'),
+  ...validateOrganization
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const organization = new Organization({
+      name: req.body.name,
+      settings: req.body.settings || {},
+      members: [{ user: req.userId, role: 'owner' }]
+    });
+
+    await organization.save();
+
+    res.status(201).json({
+      message: 'Organization created successfully',
+      organization: await toResponse(organization, req.userId)
+    });
+  } catch (error) {
+    console.error('Create organization error:', error);
+    res.status(500).json({ error: 'Server error creating organization' });
+  }
+});
+
+// @route   GET /api/organizations/:orgId
+// @desc    Get an organization with its members
+// @access  Private (member)
+router.get('/:orgId', auth, organizationAccess('member'), async (req, res) => {
+  try {
+    res.json({ organization: await toResponse(req.organization, req.userId) });
+  } catch (error) {
+    console.error('Get organization error:', error);
+    res.status(500).json({ error: 'Server error fetching organization' });
+  }
+});
+
+// @route   PUT /api/organizations/:orgId
+// @desc    Rename an organization or change its project defaults
+// @access  Private (admin)
+router.put('/:orgId', auth, organizationAccess('admin'), validateOrganization, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const organization = req.organization;
+    const { name, settings } = req.body;
+
+    if (name) {
+      organization.name = name;
+    }
+    if (settings) {
+      for (const key of ['networkName', 'composeVersion', 'registryPrefix']) {
+        if (settings[key] !== undefined) {
+          organization.settings[key] = settings[key] || undefined;
+        }
+      }
+    }
+
+    await organization.save();
+
+    res.json({
+      message: 'Organization updated successfully',
+      organization: await toResponse(organization, req.userId)
+    });
+  } catch (error) {
+    console.error('Update organization error:', error);
+    res.status(500).json({ error: 'Server error updating organization' });
+  }
+});
+
+// @route   DELETE /api/organizations/:orgId
+// @desc    Delete an organization that no longer has projects
+// @access  Private (owner)
+router.delete('/:orgId', auth, organizationAccess('owner'), async (req, res) => {
+  try {
+    const projectCount = await Project.countDocuments({ organization: req.organization._id });
+
+    if (projectCount > 0) {
+      return res.status(409).json({
+        error: `Move or delete the organization's ${projectCount} project(s) first`
+      });
+    }
+
+    await req.organization.deleteOne();
+
+    res.json({ message: 'Organization deleted successfully' });
+  } catch (error) {
+    console.error('Delete organization error:', error);
+    res.status(500).json({ error: 'Server error deleting organization' });
+  }
+});
+
+// @route   POST /api/organizations/:orgId/members
+// @desc    Add a registered user to the organization by email
+// @access  Private (admin)
+router.post('/:orgId/members', auth, organizationAccess('admin'), [
+  body('email').isEmail().normalizeEmail().withMessage('A valid email is required'),
+  ...validateMemberRole
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const organization = req.organization;
+    const user = await User.findOne({ email: req.body.email });
+
+    if (!user) {
+      return res.status(404).json({ error: 'No user is registered with that email' });
+    }
+
+    if (organization.getMemberRole(user._id)) {
+      return res.status(409).json({ error: 'That user is already a member' });
+    }
+
+    organization.members.push({ user: user._id, role: req.body.role });
+    await organization.save();
+
+    res.status(201).json({
+      message: `${user.username} joined ${organization.name}`,
+      organization: await toResponse(organization, req.userId)
+    });
+  } catch (error) {
+    console.error('Add member error:', error);
+    res.status(500).json({ error: 'Server error adding member' });
+  }
+});
+
+// @route   PUT /api/organizations/:orgId/members/:userId
+// @desc    Change a member's role
+// @access  Private (owner)
+router.put('/:orgId/members/:userId', auth, organizationAccess('owner'), validateMemberRole, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const organization = req.organization;
+    const member = organization.members.find(m => String(m.user) === req.params.userId);
+
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    if (member.role === 'owner') {
+      return res.status(400).json({ error: 'The owner role cannot be changed' });
+    }
+
+    member.role = req.body.role;
+    await organization.save();
+    // Open canvases of the organization's projects pick up the new role
+    await collaborationService.refreshOrganization(organization._id);
+
+    res.json({
+      message: 'Member role updated',
+      organization: await toResponse(organization, req.userId)
+    });
+  } catch (error) {
+    console.error('Update member error:', error);
+    res.status(500).json({ error: 'Server error updating member' });
+  }
+});
+
+// @route   DELETE /api/organizations/:orgId/members/:userId
+// @desc    Remove a member, or leave the organization
+// @access  Private (admin, or the member themselves)
+router.delete('/:orgId/members/:userId', auth, organizationAccess('member'), async (req, res) => {
+  try {
+    const organization = req.organization;
+    const member = organization.members.find(m => String(m.user) === req.params.userId);
+
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    if (member.role === 'owner') {
+      return res.status(400).json({ error: 'The owner cannot leave or be removed' });
+    }
+
+    const leaving = req.params.userId === String(req.userId);
+    const canManage = organization.hasRole(req.userId, 'admin') &&
+      (member.role !== 'admin' || req.organizationRole === 'owner');
+
+    if (!leaving && !canManage) {
+      return res.status(403).json({ error: 'You are not allowed to remove this member' });
+    }
+
+    organization.members = organization.members.filter(m => m !== member);
+    await organization.save();
+    await collaborationService.refreshOrganization(organization._id);
+
+    res.json({
+      message: leaving ? `You left ${organization.name}` : 'Member removed',
+      organization: await toResponse(organization, req.userId)
+    });
+  } catch (error) {
+    console.error('Remove member error:', error);
+    res.status(500).json({ error: 'Server error removing member' });
+  }
+});
+
+module.exports = router;
@@ -2,21 +2,46 @@ const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const Project = require('../models/Project');
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+const generationService = require('../services/generationService');
+const versionService = require('../services/versionService');
+const blueprintService = require('../services/blueprintService');
+const collaborationService = require('../services/collaborationService');
 const auth = require('../middleware/auth');
+const projectAccess = require('../middleware/projectAccess');
+const generatorSettings = require('../middleware/generatorSettings');
 
 
 const validateProject = [
   body('name').trim().notEmpty().withMessage('Project name is required'),
   body('services').isArray().withMessage('Services must be an array'),
-  body('connections').optional().isArray().withMessage('Connections must be an array')
+  body('connections').optional().isArray().withMessage('Connections must be an array'),
+  body('tags').optional().isArray({ max: 10 }).withMessage('At most 10 tags are allowed'),
+  body('tags.*').isString().trim().toLowerCase().isLength({ min: 1, max: 30 }).withMessage('Tags must be 1-30 characters'),
+  body('isPublic').optional().isBoolean().withMessage('isPublic must be a boolean'),
+  body('message').optional().isString().isLength({ max: 200 }).withMessage('Version message must be at most 200 characters'),
+  ...generatorSettings('metadata')
 ];
 
 
 router.get('/', auth, async (req, res) => {
   try {
-    const { page = 1, limit = 10, search } = req.query;
+    const { page = 1, limit = 10, search, workspace } = req.query;
     
-    const query = { owner: req.userId };
+    // Own projects, projects shared with the user and those of their organizations
+    const organizationIds = await Organization.idsForUser(req.userId);
+    const query = Project.accessibleBy(req.userId, organizationIds);
+
+    // Narrow down to one workspace: "personal" or an organization id
+    if (workspace === 'personal') {
+      query.organization = null;
+    } else if (workspace) {
+      if (!organizationIds.some(id => String(id) === workspace)) {
+        return res.status(404).json({ error: 'Organization not found' });
+      }
+      query.organization = workspace;
+    }
     
     if (search) {
       query.$text = { $search: search };
@@ -26,12 +51,21 @@ router.get('/', auth, async (req, res) => {
       .sort({ updatedAt: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit)
-      .select('-__v');
+      .select('-__v')
+      .populate('owner', 'username email')
+      .populate('organization', 'name members');
 
     const count = await Project.countDocuments(query);
 
     res.json({
-      projects,
+      projects: projects.map(project => {
+        const { organization, ...fields } = project.toObject();
+        return {
+          ...fields,
+          organization: organization ? { _id: organization._id, name: organization.name } : null,
+          role: project.getRoleFor(req.userId)
+        };
+      }),
       totalPages: Math.ceil(count / limit),
       currentPage: page,
       totalProjects: count
@@ -44,25 +78,32 @@ router.get('/', auth, async (req, res) => {
 
 // @route   GET /api/projects/:id
 // @desc    Get a single project by ID
-// @access  Private
-router.get('/:id', auth, async (req, res) => {
+// @access  Private (viewer)
+router.get('/:id', auth, projectAccess('viewer'), async (req, res) => {
   try {
-    const project = await Project.findOne({
-      _id: req.params.id,
-      owner: req.userId
-    });
-
-    if (!project) {
-      return res.status(404).json({ error: 'Project not found' });
-    }
-
-    res.json({ project });
+    res.json({ project: req.project, role: req.projectRole });
   } catch (error) {
     console.error('Get project error:', error);
     res.status(500).json({ error: 'Server error fetching project' });
   }
 });
 
+// @route   GET /api/projects/:id/blueprint
+// @desc    Download a saved project as kontrol.blueprint.yaml
+// @access  Private (viewer)
+router.get('/:id/blueprint', auth, projectAccess('viewer'), async (req, res) => {
+  try {
+    res.set({
+      'Content-Type': 'application/yaml',
+      'Content-Disposition': `attachment; filename="${blueprintService.fileName}"`
+    });
+    res.send(blueprintService.serialize(req.project.toObject()));
+  } catch (error) {
+    console.error('Export project blueprint error:', error);
+    res.status(500).json({ error: 'Server error exporting project' });
+  }
+});
+
 // @route   POST /api/projects
 // @desc    Create a new project
 // @access  Private
@@ -73,19 +114,29 @@ router.post('/', auth, validateProject, async (req, res) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, description, services, connections, metadata, tags } = req.body;
+    const { name, description, services, connections, metadata, tags, isPublic, organization } = req.body;
+
+    if (organization) {
+      const org = await Organization.findById(organization).catch(() => null);
+      if (!org || !org.getMemberRole(req.userId)) {
+        return res.status(404).json({ error: 'Organization not found' });
+      }
+    }
 
     const project = new Project({
       name,
       description,
       owner: req.userId,
+      organization: organization || null,
       services,
       connections: connections || [],
       metadata: metadata || {},
-      tags: tags || []
+      tags: tags || [],
+      isPublic: Boolean(isPublic)
     });
 
     await project.save();
+    await versionService.snapshot(project, req.userId, req.body.message);
 
     res.status(201).json({
       message: 'Project created successfully',
@@ -99,33 +150,39 @@ router.post('/', auth, validateProject, async (req, res) => {
 
 // @route   PUT /api/projects/:id
 // @desc    Update a project
-// @access  Private
-router.put('/:id', auth, validateProject, async (req, res) => {
+// @access  Private (editor)
+router.put('/:id', auth, projectAccess('editor'), validateProject, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, description, services, connections, metadata, tags } = req.body;
-
-    const project = await Project.findOneAndUpdate(
-      { _id: req.params.id, owner: req.userId },
-      {
-        name,
-        description,
-        services,
-        connections,
-        metadata,
-        tags
-      },
-      { new: true, runValidators: true }
-    );
+    const { name, description, services, connections, metadata, tags, isPublic } = req.body;
+    const project = req.project;
 
-    if (!project) {
-      return res.status(404).json({ error: 'Project not found' });
+    // Publishing to the gallery is up to the people who manage the project
+    if (isPublic !== undefined && isPublic !== project.isPublic) {
+      if (!project.hasRole(req.userId, 'admin')) {
+        return res.status(403).json({ error: 'Only project admins can change whether it is public' });
+      }
+      project.isPublic = isPublic;
     }
 
+    project.set({
+      name,
+      description,
+      services,
+      connections,
+      metadata,
+      tags
+    });
+    await project.save();
+
+    await versionService.snapshot(project, req.userId, req.body.message);
+    // Open canvases follow the saved design
+    collaborationService.replaceState(project);
+
     res.json({
       message: 'Project updated successfully',
       project
@@ -138,17 +195,15 @@ router.put('/:id', auth, validateProject, async (req, res) => {
 
 // @route   DELETE /api/projects/:id
 // @desc    Delete a project
-// @access  Private
-router.delete('/:id', auth, async (req, res) => {
+// @access  Private (owner)
+router.delete('/:id', auth, projectAccess('owner'), async (req, res) => {
   try {
-    const project = await Project.findOneAndDelete({
-      _id: req.params.id,
-      owner: req.userId
-    });
+    const project = req.project;
+    await project.deleteOne();
+    collaborationService.closeRoom(project._id);
 
-    if (!project) {
-      return res.status(404).json({ error: 'Project not found' });
-    }
+    await generationService.removeForProject(project._id);
+    await versionService.removeForProject(project._id);
 
     res.json({ message: 'Project deleted successfully' });
   } catch (error) {
@@ -157,4 +212,298 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
+// @route   PUT /api/projects/:id/organization
+// @desc    Move a project into an organization, or back to a personal workspace
+// @access  Private (owner; the admins of an organization own its projects)
+router.put('/:id/organization', auth, projectAccess('owner'), [
+  body('organization').optional({ nullable: true }).isMongoId().withMessage('Organization must be an organization id or null')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const project = req.project;
+    const organizationId = req.body.organization || null;
+    const currentId = project.organization?._id || project.organization;
+
+    if (String(currentId || null) === String(organizationId)) {
+      return res.status(400).json({ error: 'The project is already in that workspace' });
+    }
+
+    let organization = null;
+    if (organizationId) {
+      organization = await Organization.findById(organizationId);
+      if (!organization || !organization.getMemberRole(req.userId)) {
+        return res.status(404).json({ error: 'Organization not found' });
+      }
+      if (!organization.hasRole(req.userId, 'admin')) {
+        return res.status(403).json({ error: 'Moving a project into an organization requires the admin role in it' });
+      }
+    } else {
+      // Personal projects belong to whoever moves them out
+      project.owner = req.userId;
+    }
+
+    project.organization = organizationId;
+    await project.save();
+    await collaborationService.refreshProject(project._id);
+
+    res.json({
+      message: organization ? `Project moved to ${organization.name}` : 'Project moved to your personal workspace',
+      project
+    });
+  } catch (error) {
+    console.error('Move project error:', error);
+    res.status(500).json({ error: 'Server error moving project' });
+  }
+});
+
+// @route   GET /api/projects/:id/versions
+// @desc    List saved versions of a project, newest first
+// @access  Private (viewer)
+router.get('/:id/versions', auth, projectAccess('viewer'), async (req, res) => {
+  try {
+    const versions = await versionService.list(req.project._id);
+
+    res.json({ versions });
+  } catch (error) {
+    console.error('Get versions error:', error);
+    res.status(500).json({ error: 'Server error fetching versions' });
+  }
+});
+
+// @route   GET /api/projects/:id/versions/diff?from=&to=
+// @desc    Compare two versions of a project
+// @access  Private (viewer)
+router.get('/:id/versions/diff', auth, projectAccess('viewer'), async (req, res) => {
+  try {
+    const from = parseInt(req.query.from, 10);
+    const to = parseInt(req.query.to, 10);
+
+    if (!from || !to) {
+      return res.status(400).json({ error: 'Both "from" and "to" version numbers are required' });
+    }
+
+    const project = req.project;
+    const [fromVersion, toVersion] = await Promise.all([
+      versionService.get(project._id, from),
+      versionService.get(project._id, to)
+    ]);
+
+    if (!fromVersion || !toVersion) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    res.json({
+      from,
+      to,
+      diff: versionService.diff(fromVersion.snapshot, toVersion.snapshot)
+    });
+  } catch (error) {
+    console.error('Diff versions error:', error);
+    res.status(500).json({ error: 'Server error comparing versions' });
+  }
+});
+
+// @route   GET /api/projects/:id/versions/:version
+// @desc    Get a single version including its snapshot
+// @access  Private (viewer)
+router.get('/:id/versions/:version', auth, projectAccess('viewer'), async (req, res) => {
+  try {
+    const version = await versionService.get(req.project._id, parseInt(req.params.version, 10));
+
+    if (!version) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    res.json({ version });
+  } catch (error) {
+    console.error('Get version error:', error);
+    res.status(500).json({ error: 'Server error fetching version' });
+  }
+});
+
+// @route   POST /api/projects/:id/versions/:version/restore
+// @desc    Restore a project to a saved version (recorded as a new version)
+// @access  Private (editor)
+router.post('/:id/versions/:version/restore', auth, projectAccess('editor'), async (req, res) => {
+  try {
+    const project = req.project;
+    const version = await versionService.get(project._id, parseInt(req.params.version, 10));
+
+    if (!version) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    const { name, description, services, connections, metadata, tags } = version.snapshot;
+    project.set({
+      name,
+      description,
+      services: services || [],
+      connections: connections || [],
+      metadata: metadata || {},
+      tags: tags || []
+    });
+    await project.save();
+
+    // Restoring never discards history; the current state stays one version back
+    await versionService.snapshot(project, req.userId, `Restored version ${version.version}`);
+    collaborationService.replaceState(project);
+
+    res.json({
+      message: `Project restored to version ${version.version}`,
+      project
+    });
+  } catch (error) {
+    console.error('Restore version error:', error);
+    res.status(500).json({ error: 'Server error restoring version' });
+  }
+});
+
+const validateCollaborator = [
+  body('role').isIn(Project.ROLES).withMessage(`Role must be one of: ${Project.ROLES.join(', ')}`)
+];
+
+// Collaborator list with user details, for responses
+const listCollaborators = async (project) => {
+  await project.populate('collaborators.user', 'username email');
+  await project.populate('owner', 'username email');
+  await project.populate('organization', 'name');
+
+  // Organization projects are owned by the organization, not by whoever created them
+  const { organization } = project;
+  return {
+    owner: organization ? null : project.owner,
+    organization: organization ? { _id: organization._id, name: organization.name } : null,
+    collaborators: project.collaborators
+  };
+};
+
+// @route   GET /api/projects/:id/collaborators
+// @desc    List the project owner (or organization) and collaborators
+// @access  Private (viewer)
+router.get('/:id/collaborators', auth, projectAccess('viewer'), async (req, res) => {
+  try {
+    res.json(await listCollaborators(req.project));
+  } catch (error) {
+    console.error('Get collaborators error:', error);
+    res.status(500).json({ error: 'Server error fetching collaborators' });
+  }
+});
+
+// @route   POST /api/projects/:id/collaborators
+// @desc    Invite a registered user by email
+// @access  Private (admin)
+router.post('/:id/collaborators', auth, projectAccess('admin'), [
+  body('email').isEmail().normalizeEmail().withMessage('A valid email is required'),
+  ...validateCollaborator
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { email, role } = req.body;
+    const project = req.project;
+
+    const invitee = await User.findOne({ email });
+    if (!invitee) {
+      return res.status(404).json({ error: 'No user is registered with that email' });
+    }
+
+    if (project.getRoleFor(invitee._id)) {
+      return res.status(409).json({ error: 'That user already has access to this project' });
+    }
+
+    // Only the owner may hand out admin rights
+    if (role === 'admin' && req.projectRole !== 'owner') {
+      return res.status(403).json({ error: 'Only the project owner can add admins' });
+    }
+
+    project.collaborators.push({ user: invitee._id, role, invitedBy: req.userId });
+    await project.save();
+
+    res.status(201).json({
+      message: `${invitee.username} was added as ${role}`,
+      ...await listCollaborators(project)
+    });
+  } catch (error) {
+    console.error('Add collaborator error:', error);
+    res.status(500).json({ error: 'Server error adding collaborator' });
+  }
+});
+
+// @route   PUT /api/projects/:id/collaborators/:userId
+// @desc    Change a collaborator's role
+// @access  Private (admin)
+router.put('/:id/collaborators/:userId', auth, projectAccess('admin'), validateCollaborator, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const project = req.project;
+    const collaborator = project.collaborators.find(c => String(c.user) === req.params.userId);
+
+    if (!collaborator) {
+      return res.status(404).json({ error: 'Collaborator not found' });
+    }
+
+    if ((req.body.role === 'admin' || collaborator.role === 'admin') && req.projectRole !== 'owner') {
+      return res.status(403).json({ error: 'Only the project owner can grant or revoke admin rights' });
+    }
+
+    collaborator.role = req.body.role;
+    await project.save();
+    // Open sessions pick up the new role
+    collaborationService.refreshAccess(project);
+
+    res.json({
+      message: 'Collaborator role updated',
+      ...await listCollaborators(project)
+    });
+  } catch (error) {
+    console.error('Update collaborator error:', error);
+    res.status(500).json({ error: 'Server error updating collaborator' });
+  }
+});
+
+// @route   DELETE /api/projects/:id/collaborators/:userId
+// @desc    Remove a collaborator, or leave a project shared with you
+// @access  Private (admin, or the collaborator themselves)
+router.delete('/:id/collaborators/:userId', auth, projectAccess('viewer'), async (req, res) => {
+  try {
+    const project = req.project;
+    const collaborator = project.collaborators.find(c => String(c.user) === req.params.userId);
+
+    if (!collaborator) {
+      return res.status(404).json({ error: 'Collaborator not found' });
+    }
+
+    const leaving = req.params.userId === String(req.userId);
+    const canManage = project.hasRole(req.userId, 'admin') &&
+      (collaborator.role !== 'admin' || req.projectRole === 'owner');
+
+    if (!leaving && !canManage) {
+      return res.status(403).json({ error: 'You are not allowed to remove this collaborator' });
+    }
+
+    project.collaborators = project.collaborators.filter(c => c !== collaborator);
+    await project.save();
+    collaborationService.refreshAccess(project);
+
+    res.json({
+      message: leaving ? 'You left the project' : 'Collaborator removed',
+      ...await listCollaborators(project)
+    });
+  } catch (error) {
+    console.error('Remove collaborator error:', error);
+    res.status(500).json({ error: 'Server error removing collaborator' });
+  }
+});
+
 module.exports = router;
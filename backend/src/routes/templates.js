@@ -0,0 +1,119 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const auth = require('../middleware/auth');
+const Organization = require('../models/Organization');
+const templateRegistry = require('../services/templateRegistry');
+const customTemplateService = require('../services/customTemplateService');
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }
+});
+
+// Custom templates are owned by a user or by an organization
+const getTemplateOwners = async (userId) => [userId, ...await Organization.idsForUser(userId)];
+
+// @route   GET /api/templates
+// @desc    Get built-in templates plus those of the user and their organizations
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    res.json({
+      templates: templateRegistry.getCategories(await getTemplateOwners(req.userId)),
+      customTemplatesEnabled: customTemplateService.canUpload(req.user)
+    });
+  } catch (error) {
+    console.error('Get templates error:', error);
+    res.status(500).json({ error: 'Server error fetching templates' });
+  }
+});
+
+// @route   POST /api/templates?organization=<id>
+// @desc    Upload a zipped template pack (template.json + EJS files), optionally
+//          shared with an organization
+// @access  Private (template admins only; organization admin for shared templates)
+router.post('/', auth, (req, res, next) => {
+  if (!customTemplateService.isEnabled()) {
+    return res.status(403).json({ error: 'Custom templates are disabled on this server' });
+  }
+  if (!customTemplateService.canUpload(req.user)) {
+    return res.status(403).json({ error: 'Only template admins can upload templates' });
+  }
+  next();
+}, upload.single('template'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'A zip file is required in the "template" field' });
+    }
+
+    let ownerId = req.userId;
+
+    if (req.query.organization) {
+      const organization = await Organization.findById(req.query.organization).catch(() => null);
+      if (!organization || !organization.hasRole(req.userId, 'admin')) {
+        return res.status(403).json({ error: 'Only organization admins can add shared templates' });
+      }
+      ownerId = organization._id;
+    }
+
+    const template = await customTemplateService.installPack(ownerId, req.file.buffer);
+
+    console.log(`🧩 Installed custom template "${template.type}" for ${ownerId}`);
+
+    res.status(201).json({
+      message: 'Template uploaded successfully',
+      template: templateRegistry.toPublic(template)
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Upload template error:', error);
+    res.status(500).json({
+      error: 'Failed to upload template',
+      details: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/templates/:type
+// @desc    Delete one of the user's custom templates, or an organization's
+// @access  Private (organization admin for shared templates)
+router.delete('/:type', auth, async (req, res) => {
+  try {
+    const template = templateRegistry.get(req.params.type);
+    let ownerId = req.userId;
+
+    if (template && template.custom && template.owner !== String(req.userId)) {
+      const organization = await Organization.findById(template.owner).catch(() => null);
+      if (organization && organization.hasRole(req.userId, 'admin')) {
+        ownerId = organization._id;
+      }
+    }
+
+    const removed = await customTemplateService.removePack(ownerId, req.params.type);
+
+    if (!removed) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    res.json({ message: 'Template deleted successfully' });
+  } catch (error) {
+    console.error('Delete template error:', error);
+    res.status(500).json({
+      error: 'Failed to delete template',
+      details: error.message
+    });
+  }
+});
+
+// Oversized uploads surface as multer errors
+router.use((err, req, res, next) => {
+  if (err instanceof multer.MulterError) {
+    return res.status(400).json({ error: err.message });
+  }
+  next(err);
+});
+
+module.exports = router;
@@ -1,15 +1,23 @@
 require('dotenv').config();
+const http = require('http');
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
+const templateRegistry = require('./services/templateRegistry');
+const collaborationService = require('./services/collaborationService');
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const projectRoutes = require('./routes/projects');
 const generateRoutes = require('./routes/generate');
 const aiRoutes = require('./routes/ai');
+const templateRoutes = require('./routes/templates');
+const organizationRoutes = require('./routes/organizations');
+const galleryRoutes = require('./routes/gallery');
+const importRoutes = require('./routes/import');
+const blueprintRoutes = require('./routes/blueprints');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -37,7 +45,13 @@ app.get('/', (req, res) => {
       auth: '/api/auth',
       projects: '/api/projects',
       generate: '/api/generate',
-      ai: '/api/ai'
+      ai: '/api/ai',
+      templates: '/api/templates',
+      organizations: '/api/organizations',
+      gallery: '/api/gallery',
+      import: '/api/import',
+      blueprints: '/api/blueprints',
+      collaboration: '/ws'
     },
     documentation: 'See README.md for API documentation'
   });
@@ -59,6 +73,11 @@ app.use('/api/auth', authRoutes);
 app.use('/api/projects', projectRoutes);
 app.use('/api/generate', generateRoutes);
 app.use('/api/ai', aiRoutes);
+app.use('/api/templates', templateRoutes);
+app.use('/api/organizations', organizationRoutes);
+app.use('/api/gallery', galleryRoutes);
+app.use('/api/import', importRoutes);
+app.use('/api/blueprints', blueprintRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -74,6 +93,10 @@ app.use((err, req, res, next) => {
   });
 });
 
+// Discover service templates
+const templates = templateRegistry.load();
+console.log(`🧩 Loaded ${templates.length} service templates`);
+
 // Database connection
 mongoose.connect(process.env.MONGODB_URI)
 .then(() => {
@@ -84,8 +107,12 @@ mongoose.connect(process.env.MONGODB_URI)
   console.warn('⚠️  Running without database. Some features may not work.');
 });
 
+// Real-time collaboration shares the HTTP server
+const server = http.createServer(app);
+collaborationService.attach(server);
+
 // Start server regardless of MongoDB connection
-app.listen(PORT, () => {
+server.listen(PORT, () => {
   console.log(`🚀 Kontrol Backend API running on port ${PORT}`);
   console.log(`📍 Environment: ${process.env.NODE_ENV}`);
   console.log(`🤖 AI Provider: Google Gemini (${process.env.GEMINI_MODEL})`);
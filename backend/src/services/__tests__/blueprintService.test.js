@@ -0,0 +1,14 @@
+const blueprintService = require('../blueprintService');
+
+describe('blueprint export → import round trip', () => {
+  test('settings the schema rejects are left out of the export', () => {
+    const content = blueprintService.serialize({
+      name: 'shop',
+      metadata: { networkName: 'shop net: {x}', composeVersion: '3.8', registryPrefix: 'Not A Prefix', logging: true },
+      services: [{ id: 'api', type: 'node', label: 'api', config: {} }],
+      connections: []
+    });
+
+    expect(blueprintService.parse(content).metadata).toEqual({ composeVersion: '3.8', logging: true });
+  });
+});
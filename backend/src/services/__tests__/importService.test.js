@@ -0,0 +1,100 @@
+const yaml = require('js-yaml');
+const importService = require('../importService');
+const builderService = require('../builderService');
+
+// Import a design, generate it again and parse the resulting compose file
+const regenerate = async ({ services, connections, metadata }) => {
+  const files = await builderService.renderProjectFiles({ projectName: 'round-trip', services, connections, metadata });
+  return yaml.load(files.find(file => file.path === 'docker-compose.yml').content);
+};
+
+const expectValidVolumes = (compose) => {
+  const declared = Object.keys(compose.volumes || {});
+
+  for (const [name, service] of Object.entries(compose.services)) {
+    const mounts = (service.volumes || []).map(volume => builderService.parseVolume(volume));
+    const targets = mounts.map(mount => mount.target);
+
+    expect({ name, targets }).toEqual({ name, targets: [...new Set(targets)] });
+    for (const mount of mounts.filter(mount => mount.name)) {
+      expect(declared).toContain(mount.name);
+    }
+  }
+};
+
+describe('import → generate round trip', () => {
+  test('docker-compose volumes stay valid', async () => {
+    const design = importService.fromCompose(`
+services:
+  db:
+    image: postgres:16
+    volumes:
+      - pgdata:/var/lib/postgresql/data
+  api:
+    build: ./api
+    volumes:
+      - uploads:/app/uploads
+    depends_on: [db]
+volumes:
+  pgdata:
+  uploads:
+`);
+
+    const compose = await regenerate(design);
+
+    expectValidVolumes(compose);
+    expect(compose.services.db.volumes).toContain('db-data:/var/lib/postgresql/data');
+    expect(compose.services.db.volumes.join()).not.toContain('pgdata');
+    expect(compose.services.api.volumes).toEqual(['uploads:/app/uploads']);
+    expect(design.warnings.some(warning => warning.includes('pgdata'))).toBe(true);
+  });
+
+  test('Kubernetes volumeMounts stay valid', async () => {
+    const design = importService.fromKubernetes(`
+apiVersion: apps/v1
+kind: StatefulSet
+metadata:
+  name: cache
+spec:
+  selector:
+    matchLabels: { app: cache }
+  template:
+    metadata:
+      labels: { app: cache }
+    spec:
+      containers:
+        - name: redis
+          image: redis:7
+          volumeMounts:
+            - name: redis-storage
+              mountPath: /data
+---
+apiVersion: apps/v1
+kind: Deployment
+metadata:
+  name: mongo
+spec:
+  selector:
+    matchLabels: { app: mongo }
+  template:
+    metadata:
+      labels: { app: mongo }
+    spec:
+      containers:
+        - name: mongo
+          image: mongo:7
+          volumeMounts:
+            - name: mongo-data
+              mountPath: /data/db/
+            - name: backups
+              mountPath: /backups
+`);
+
+    const compose = await regenerate(design);
+
+    expectValidVolumes(compose);
+    expect(compose.services.cache.volumes).toContain('cache-data:/data');
+    expect(compose.services.cache.volumes.join()).not.toContain('redis-storage');
+    expect(compose.services.mongo.volumes).toEqual(expect.arrayContaining(['mongo-data:/data/db', 'backups:/backups']));
+  });
+});
@@ -1,4 +1,7 @@
 const axios = require('axios');
+const templateRegistry = require('./templateRegistry');
+const layoutService = require('./layoutService');
+const connectionService = require('./connectionService');
 
 /**
  * AI Service for Natural Language to Blueprint Conversion
@@ -24,7 +27,7 @@ Return a JSON object with this exact structure:
   "services": [
     {
       "id": "unique-id",
-      "type": "node|react|vue|angular|python|mongodb|postgresql|mysql|redis",
+      "type": "node|react|vue|angular|python|mongodb|postgresql|mysql|redis|rabbitmq|kafka|nats|nginx|traefik|prometheus|grafana",
       "name": "service-name",
       "config": {
         "port": 3000,
@@ -38,7 +41,7 @@ Return a JSON object with this exact structure:
     {
       "source": "service-id",
       "target": "service-id",
-      "type": "api|database|cache"
+      "type": "rest|grpc|database|cache|queue|websocket"
     }
   ],
   "metadata": {
@@ -52,6 +55,9 @@ Supported service types:
 - Backend: node (Express), python (Flask/FastAPI)
 - Database: mongodb, postgresql, mysql
 - Cache: redis
+- Messaging: rabbitmq, kafka, nats
+- Gateway: nginx, traefik (connect them to the frontends and backends they route to)
+- Observability: prometheus (scrapes every node and python service), grafana (connect it to prometheus)
 
 Guidelines:
 1. Use standard ports (React: 3000, Node: 5000, MongoDB: 27017, etc.)
@@ -111,15 +117,17 @@ Guidelines:
         environment: service.config?.environment || {},
         volumes: service.config?.volumes || [],
         ...service.config
-      },
-      position: service.position || { x: index * 250, y: 100 }
+      }
     }));
 
     // Validate connections
     const serviceIds = new Set(enhanced.services.map(s => s.id));
-    enhanced.connections = enhanced.connections.filter(conn => 
-      serviceIds.has(conn.source) && serviceIds.has(conn.target)
-    );
+    enhanced.connections = enhanced.connections
+      .filter(conn => serviceIds.has(conn.source) && serviceIds.has(conn.target))
+      .map(conn => ({ ...conn, type: connectionService.normalizeType(conn.type) }));
+
+    // Model-suggested coordinates tend to overlap; lay the design out in tiers instead
+    enhanced.services = layoutService.layout(enhanced.services, enhanced.connections);
 
     return enhanced;
   }
@@ -128,6 +136,11 @@ Guidelines:
    * Get default port for service type
    */
   getDefaultPort(type) {
+    const template = templateRegistry.get(type);
+    if (template) {
+      return template.defaultPort;
+    }
+
     const defaults = {
       react: 3000,
       vue: 8080,
@@ -137,7 +150,14 @@ Guidelines:
       mongodb: 27017,
       postgresql: 5432,
       mysql: 3306,
-      redis: 6379
+      redis: 6379,
+      rabbitmq: 5672,
+      kafka: 9092,
+      nats: 4222,
+      nginx: 80,
+      traefik: 80,
+      prometheus: 9090,
+      grafana: 3001
     };
     return defaults[type] || 8080;
   }
@@ -0,0 +1,153 @@
+const yaml = require('js-yaml');
+const Ajv = require('ajv');
+const schema = require('../schemas/blueprint.schema.json');
+const templateRegistry = require('./templateRegistry');
+const layoutService = require('./layoutService');
+const connectionService = require('./connectionService');
+
+const API_VERSION = 'kontrol/v1';
+const FILE_NAME = 'kontrol.blueprint.yaml';
+const METADATA_FIELDS = ['networkName', 'composeVersion', 'registryPrefix', 'logging', 'tracing'];
+
+const badRequest = (message, details) => Object.assign(new Error(message), { status: 400, details });
+
+/**
+ * Blueprint Service
+ * Reads and writes designs as kontrol.blueprint.yaml files, so they can be
+ * kept in git next to the code. The format is described by a JSON Schema.
+ */
+class BlueprintService {
+  constructor() {
+    this.fileName = FILE_NAME;
+    this.schema = schema;
+    this.validator = new Ajv({ allErrors: true, allowUnionTypes: true }).compile(schema);
+  }
+
+  /**
+   * Blueprint document for a project or the canvas' project data
+   */
+  toDocument({ name, description, tags, metadata, services, connections }) {
+    const settings = Object.fromEntries(
+      METADATA_FIELDS.filter(field => this.isValidSetting(field, metadata?.[field])).map(field => [field, metadata[field]])
+    );
+
+    return {
+      apiVersion: API_VERSION,
+      kind: 'Blueprint',
+      metadata: {
+        name,
+        ...(description ? { description } : {}),
+        ...(tags?.length ? { tags } : {}),
+        ...settings
+      },
+      services: (services || []).map(({ id, type, label, position, config }) => ({
+        id,
+        type,
+        label,
+        ...(position ? { position: { x: Math.round(position.x), y: Math.round(position.y) } } : {}),
+        config: config || {}
+      })),
+      connections: (connections || []).map(({ id, source, target, type }) => ({
+        id,
+        source,
+        target,
+        ...(connectionService.normalizeType(type) !== 'default' ? { type } : {})
+      }))
+    };
+  }
+
+  /**
+   * Whether a project setting is set and passes the schema, so exports always
+   * import again (designs sent from the canvas or saved before settings were
+   * validated may hold anything)
+   */
+  isValidSetting(field, value) {
+    const { type, pattern } = schema.properties.metadata.properties[field];
+    if (!value || typeof value !== type) return false;
+    return !pattern || new RegExp(pattern).test(value);
+  }
+
+  serialize(project) {
+    const document = JSON.parse(JSON.stringify(this.toDocument(project)));
+
+    return `# ${FILE_NAME} - edit on the Kontrol canvas or by hand\n` +
+      yaml.dump(document, { noRefs: true, lineWidth: -1 });
+  }
+
+  /**
+   * Parse and validate an uploaded blueprint file into project data the
+   * canvas can load. Throws a 400 error listing every problem found.
+   */
+  parse(content, { templateOwners = [] } = {}) {
+    let document;
+    try {
+      document = yaml.load(content);
+    } catch (error) {
+      throw badRequest(`Invalid YAML: ${error.reason || error.message}`);
+    }
+
+    if (document && document.apiVersion && document.apiVersion !== API_VERSION) {
+      throw badRequest(`Unsupported blueprint version "${document.apiVersion}", expected "${API_VERSION}"`);
+    }
+
+    if (!this.validator(document)) {
+      throw badRequest('The blueprint does not match the schema', this.validator.errors.map(error =>
+        `${error.instancePath || '/'} ${error.message}`
+      ));
+    }
+
+    const problems = [];
+    const ids = new Set();
+
+    document.services.forEach((service, index) => {
+      if (ids.has(service.id)) {
+        problems.push(`/services/${index}/id "${service.id}" is used by another service`);
+      }
+      ids.add(service.id);
+
+      if (!templateRegistry.isAvailableTo(service.type, templateOwners)) {
+        problems.push(`/services/${index}/type "${service.type}" is not a known service type`);
+      }
+    });
+
+    (document.connections || []).forEach((connection, index) => {
+      for (const end of ['source', 'target']) {
+        if (!ids.has(connection[end])) {
+          problems.push(`/connections/${index}/${end} "${connection[end]}" is not a service in this blueprint`);
+        }
+      }
+    });
+
+    if (problems.length > 0) {
+      throw badRequest('The blueprint is not valid', problems);
+    }
+
+    const { name, description, tags, ...settings } = document.metadata;
+    const services = document.services.map(service => ({
+      ...service,
+      config: {
+        ...service.config,
+        port: service.config?.port || templateRegistry.get(service.type).defaultPort
+      }
+    }));
+    const connections = (document.connections || []).map(connection => ({
+      ...connection,
+      id: connection.id || `edge-${connection.source}-${connection.target}`,
+      type: connection.type || 'default'
+    }));
+
+    return {
+      name,
+      description: description || '',
+      tags: tags || [],
+      metadata: settings,
+      // Hand-written files may leave positions out
+      services: services.every(service => service.position)
+        ? services
+        : layoutService.layout(services, connections),
+      connections
+    };
+  }
+}
+
+module.exports = new BlueprintService();
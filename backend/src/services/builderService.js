@@ -1,12 +1,27 @@
 const fs = require('fs').promises;
 const path = require('path');
 const archiver = require('archiver');
+const crypto = require('crypto');
 const ejs = require('ejs');
+const yaml = require('js-yaml');
 const { v4: uuidv4 } = require('uuid');
+const templateRegistry = require('./templateRegistry');
+const connectionService = require('./connectionService');
+const gatewayService = require('./gatewayService');
+const observabilityService = require('./observabilityService');
+
+const INLINE_MAX_FILE_SIZE = 256 * 1024;
+
+// Variables the frontend bundlers expose to the browser
+const FRONTEND_ENV_PREFIXES = {
+  react: 'REACT_APP_',
+  vue: 'VITE_'
+};
 
 class BuilderService {
   constructor() {
     this.templatesDir = path.join(__dirname, '../templates');
+    this.clientTemplatesDir = path.join(this.templatesDir, 'clients');
     this.tempDir = path.join(__dirname, '../../temp');
     this.generatedDir = path.join(__dirname, '../../generated');
   }
@@ -14,35 +29,15 @@ class BuilderService {
   /**
    * Main method to generate a complete project
    */
-  async generateProject({ projectName, services, connections, metadata }) {
+  async generateProject({ projectName, services, connections, metadata, organization }) {
     const projectId = uuidv4();
     const projectDir = path.join(this.tempDir, projectId);
 
     try {
-      // Ensure directories exist
-      await this.ensureDirectories();
-
-      // Create project directory
-      await fs.mkdir(projectDir, { recursive: true });
-
-      // Generate docker-compose.yml
-      await this.generateDockerCompose(projectDir, {
-        projectName,
-        services,
-        connections,
-        metadata
-      });
+      await this.writeProject(projectDir, { projectName, services, connections, metadata, organization });
 
-      // Generate each service
-      for (const service of services) {
-        await this.generateService(projectDir, service, connections, services);
-      }
-
-      // Generate README
-      await this.generateReadme(projectDir, { projectName, services, connections });
-
-      // Create .env.example
-      await this.generateEnvExample(projectDir, services);
+      // Keep the generated files so callers can record what was produced
+      const files = await this.readProjectFiles(projectDir);
 
       // Zip the project
       const zipPath = await this.zipProject(projectDir, projectName);
@@ -57,7 +52,8 @@ class BuilderService {
       return {
         stream,
         size: zipStats.size,
-        path: zipPath
+        path: zipPath,
+        files
       };
 
     } catch (error) {
@@ -67,27 +63,220 @@ class BuilderService {
     }
   }
 
+  /**
+   * Generate a project without zipping it and return its files
+   */
+  async renderProjectFiles({ projectName, services, connections, metadata, organization }) {
+    const projectDir = path.join(this.tempDir, uuidv4());
+
+    try {
+      await this.writeProject(projectDir, { projectName, services, connections, metadata, organization });
+      return await this.readProjectFiles(projectDir);
+    } finally {
+      await this.cleanup(projectDir);
+    }
+  }
+
+  /**
+   * Generate a project and return its file tree and contents for inspection
+   */
+  async previewProject(blueprint) {
+    const files = await this.renderProjectFiles(blueprint);
+
+    return {
+      projectName: blueprint.projectName,
+      tree: this.buildFileTree(files),
+      files: Object.fromEntries(files.map(file => [file.path, file.content]))
+    };
+  }
+
+  /**
+   * Render every project file into a directory
+   */
+  async writeProject(projectDir, { projectName, services, connections, metadata, organization }) {
+    // Project metadata wins over the organization's defaults
+    metadata = this.resolveMetadata(metadata, organization);
+
+    // Ensure directories exist
+    await this.ensureDirectories();
+
+    // Create project directory
+    await fs.mkdir(projectDir, { recursive: true });
+
+    // Generate docker-compose.yml
+    await this.generateDockerCompose(projectDir, {
+      projectName,
+      services,
+      connections,
+      metadata
+    });
+
+    if (metadata.logging) {
+      await this.generateLoggingConfig(projectDir);
+    }
+
+    if (metadata.tracing) {
+      await this.generateTracingConfig(projectDir);
+    }
+
+    // Generate each service
+    for (const service of services) {
+      await this.generateService(projectDir, service, connections, services, metadata);
+    }
+
+    // Generate README
+    await this.generateReadme(projectDir, { projectName, services, connections, metadata });
+
+    // Create .env.example
+    await this.generateEnvExample(projectDir, services, connections);
+  }
+
+  /**
+   * Merge project metadata over organization settings, ignoring blank values
+   */
+  resolveMetadata(metadata = {}, organization = null) {
+    const settings = organization?.settings || {};
+    const resolved = { ...metadata };
+
+    for (const key of ['networkName', 'composeVersion', 'registryPrefix']) {
+      resolved[key] = metadata[key] || settings[key] || undefined;
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Read every generated file with its content hash; binary or oversized files keep no content
+   */
+  async readProjectFiles(dir, relativeDir = '') {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    const files = [];
+
+    for (const entry of entries) {
+      const entryPath = path.join(dir, entry.name);
+      const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+
+      if (entry.isDirectory()) {
+        files.push(...await this.readProjectFiles(entryPath, relativePath));
+        continue;
+      }
+
+      const content = await fs.readFile(entryPath);
+      const inline = content.length <= INLINE_MAX_FILE_SIZE && !content.includes(0);
+
+      files.push({
+        path: relativePath,
+        size: content.length,
+        hash: crypto.createHash('sha256').update(content).digest('hex'),
+        content: inline ? content.toString('utf8') : null
+      });
+    }
+
+    return files;
+  }
+
+  /**
+   * Nest a flat file list into a tree, directories first like a file explorer
+   */
+  buildFileTree(files) {
+    const root = { children: [] };
+
+    for (const file of files) {
+      const segments = file.path.split('/');
+      let parent = root;
+
+      segments.slice(0, -1).forEach((segment, index) => {
+        const dirPath = segments.slice(0, index + 1).join('/');
+        let dir = parent.children.find(node => node.path === dirPath);
+        if (!dir) {
+          dir = { name: segment, path: dirPath, type: 'directory', children: [] };
+          parent.children.push(dir);
+        }
+        parent = dir;
+      });
+
+      parent.children.push({
+        name: segments[segments.length - 1],
+        path: file.path,
+        type: 'file',
+        size: file.size
+      });
+    }
+
+    const sortNodes = nodes => nodes
+      .sort((x, y) =>
+        (x.type === y.type ? 0 : x.type === 'directory' ? -1 : 1) || x.name.localeCompare(y.name)
+      )
+      .map(node => (node.children ? { ...node, children: sortNodes(node.children) } : node));
+
+    return sortNodes(root.children);
+  }
+
+  /**
+   * Zip the exports of a blueprint: the Helm chart in its own directory, the
+   * other formats next to it
+   */
+  async generateExportArchive(blueprint, exports) {
+    const mcpService = require('./mcpService');
+    const exportDir = path.join(this.tempDir, uuidv4());
+    const chartName = mcpService.getHelmChartName(blueprint);
+    const chartDir = path.join(exportDir, chartName);
+    const files = {
+      ...(exports.dockerCompose ? { 'docker-compose.yml': yaml.dump(exports.dockerCompose, { noRefs: true, lineWidth: -1 }) } : {}),
+      ...(exports.kubernetes ? { 'kubernetes.yaml': exports.kubernetes } : {}),
+      ...(exports.terraform ? { 'main.tf.json': JSON.stringify(exports.terraform, null, 2) } : {})
+    };
+
+    try {
+      await this.ensureDirectories();
+
+      for (const [relativePath, content] of Object.entries(exports.helm || {})) {
+        const filePath = path.join(chartDir, relativePath);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, content);
+      }
+
+      for (const [fileName, content] of Object.entries(files)) {
+        await fs.writeFile(path.join(exportDir, fileName), content);
+      }
+
+      const zipPath = await this.zipProject(exportDir, `${chartName}-helm`);
+      const zipStats = await fs.stat(zipPath);
+      const stream = require('fs').createReadStream(zipPath);
+
+      setTimeout(() => this.cleanup(exportDir, zipPath), 5000);
+
+      return {
+        stream,
+        size: zipStats.size,
+        path: zipPath,
+        chartName
+      };
+
+    } catch (error) {
+      await this.cleanup(exportDir);
+      throw error;
+    }
+  }
+
   /**
    * Generate docker-compose.yml
    */
   async generateDockerCompose(projectDir, { projectName, services, connections, metadata }) {
     const templatePath = path.join(this.templatesDir, 'docker-compose.yml.ejs');
-    
-    // Build service configurations
-    const serviceConfigs = services.map(service => {
-      const dependsOn = this.findDependencies(service.id, connections, services);
-      return {
-        ...service,
-        dependsOn,
-        sanitizedName: this.sanitizeName(service.label || service.type)
-      };
-    });
+    const composeServices = this.getComposeServices(services, connections, metadata);
 
     const composeContent = await ejs.renderFile(templatePath, {
       projectName: this.sanitizeName(projectName),
-      services: serviceConfigs,
+      services: composeServices,
+      // Every named volume a service mounts must be declared at the top level
+      namedVolumes: [...new Set(composeServices.flatMap(service =>
+        service.volumes.map(volume => this.parseVolume(volume).name).filter(Boolean)
+      ))],
+      logging: observabilityService.loggingDriver(metadata),
       networkName: metadata.networkName || 'app-network',
-      version: metadata.composeVersion || '3.8'
+      version: metadata.composeVersion || '3.8',
+      registryPrefix: metadata.registryPrefix ? metadata.registryPrefix.replace(/\/+$/, '') : null
     });
 
     await fs.writeFile(
@@ -96,46 +285,164 @@ class BuilderService {
     );
   }
 
+  /**
+   * Compose services for the canvas services and the logging and tracing stacks
+   */
+  getComposeServices(services, connections, metadata = {}) {
+    const withInfrastructure = service => ({
+      ...service,
+      sanitizedName: this.sanitizeName(service.label || service.type),
+      infrastructure: this.getInfrastructureConfig(service)
+    });
+
+    const serviceConfigs = services.map(service => ({
+      ...withInfrastructure(service),
+      dependsOn: this.findDependencies(service.id, connections, services).map(withInfrastructure),
+      connectionEnvironment: {
+        ...this.getConnectionEnvironment(service, connections, services),
+        ...observabilityService.tracingEnvironment(service, metadata)
+      },
+      labels: [
+        ...gatewayService.traefikLabels(service, connections, services),
+        ...(metadata.logging ? [observabilityService.logsLabel] : [])
+      ]
+    }));
+
+    return [
+      ...serviceConfigs,
+      ...observabilityService.loggingServices(metadata),
+      ...observabilityService.tracingServices(metadata)
+    ].map(service => ({
+      ...service,
+      environment: this.getComposeEnvironment(service),
+      volumes: this.getComposeVolumes(service)
+    }));
+  }
+
+  /**
+   * Image defaults, then connection settings, then the variables set on the canvas
+   */
+  getComposeEnvironment(service) {
+    return {
+      ...service.infrastructure?.environment,
+      ...service.connectionEnvironment,
+      ...service.config?.environment
+    };
+  }
+
+  /**
+   * Template mounts followed by the ones set on the canvas; the first mount
+   * on a container path wins, so an imported volume cannot shadow the data volume
+   */
+  getComposeVolumes(service) {
+    const volumes = [...(service.infrastructure?.volumes || []), ...(service.config?.volumes || [])];
+    const targets = new Set();
+
+    return volumes.filter(volume => {
+      const { target } = this.parseVolume(volume);
+      if (targets.has(target)) return false;
+      targets.add(target);
+      return true;
+    });
+  }
+
+  /**
+   * Split a short-syntax mount ("source:target[:mode]" or "target"); name is
+   * set when the source is a named volume rather than a host path
+   */
+  parseVolume(volume) {
+    const [source, target, mode] = String(volume).split(':');
+    // "/data/" and "/data" are the same container path
+    const normalize = containerPath => containerPath.replace(/(.)\/+$/, '$1');
+    if (target === undefined) {
+      return { name: null, source: null, target: normalize(source), mode: null };
+    }
+
+    return {
+      name: /^[a-zA-Z0-9][a-zA-Z0-9_.-]*$/.test(source) ? source : null,
+      source,
+      target: normalize(target),
+      mode: mode || null
+    };
+  }
+
+  /**
+   * Generate the Promtail config for centralized logging
+   */
+  async generateLoggingConfig(projectDir) {
+    const loggingDir = path.join(projectDir, 'logging');
+    await fs.mkdir(loggingDir, { recursive: true });
+
+    const content = await ejs.renderFile(path.join(this.templatesDir, 'logging', 'promtail-config.yml.ejs'), {
+      logsLabel: observabilityService.logsLabel
+    });
+    await fs.writeFile(path.join(loggingDir, 'promtail-config.yml'), content);
+  }
+
+  /**
+   * Generate the OpenTelemetry collector config for tracing
+   */
+  async generateTracingConfig(projectDir) {
+    const tracingDir = path.join(projectDir, 'tracing');
+    await fs.mkdir(tracingDir, { recursive: true });
+
+    const content = await ejs.renderFile(path.join(this.templatesDir, 'tracing', 'otel-collector-config.yml.ejs'), {});
+    await fs.writeFile(path.join(tracingDir, 'otel-collector-config.yml'), content);
+  }
+
   /**
    * Generate individual service
    */
-  async generateService(projectDir, service, connections, allServices) {
+  async generateService(projectDir, service, connections, allServices, metadata = {}) {
     const serviceDir = path.join(projectDir, this.sanitizeName(service.label || service.type));
     await fs.mkdir(serviceDir, { recursive: true });
 
-    const templateDir = path.join(this.templatesDir, service.type);
+    const templateDir = this.getTemplateDir(service.type);
     
     // Copy template files
-    await this.copyTemplateFiles(templateDir, serviceDir, service, connections, allServices);
+    await this.copyTemplateFiles(templateDir, serviceDir, service, connections, allServices, metadata);
 
     // Generate Dockerfile
-    await this.generateDockerfile(serviceDir, service);
+    await this.generateDockerfile(serviceDir, service, gatewayService.basePath(service, connections, allServices));
 
     // Generate service-specific config
-    await this.generateServiceConfig(serviceDir, service, connections, allServices);
+    await this.generateServiceConfig(serviceDir, service, connections, allServices, metadata);
   }
 
   /**
    * Copy and process template files
    */
-  async copyTemplateFiles(templateDir, targetDir, service, connections, allServices) {
+  async copyTemplateFiles(templateDir, targetDir, service, connections, allServices, metadata = {}) {
     try {
       const files = await fs.readdir(templateDir, { withFileTypes: true });
+      const servers = connectionService.serverLinks(service, connections, allServices);
 
       for (const file of files) {
+        // The manifest describes the template, it is not part of the output
+        if (file.name === 'template.json') continue;
+
         const sourcePath = path.join(templateDir, file.name);
         const targetPath = path.join(targetDir, file.name.replace('.ejs', ''));
 
         if (file.isDirectory()) {
           await fs.mkdir(targetPath, { recursive: true });
-          await this.copyTemplateFiles(sourcePath, targetPath, service, connections, allServices);
+          await this.copyTemplateFiles(sourcePath, targetPath, service, connections, allServices, metadata);
         } else if (file.name.endsWith('.ejs')) {
           // Process EJS template
           const content = await ejs.renderFile(sourcePath, {
             service,
             connections,
             allServices,
-            dependencies: this.findDependencies(service.id, connections, allServices)
+            metadata,
+            dependencies: this.findDependencies(service.id, connections, allServices),
+            links: connectionService.linksFor(service, connections, allServices),
+            grpcServer: servers.find(link => link.type === 'grpc') || null,
+            websocketServer: servers.find(link => link.type === 'websocket') || null,
+            routes: gatewayService.isGateway(service) ? gatewayService.routes(service, connections, allServices) : [],
+            basePath: gatewayService.basePath(service, connections, allServices),
+            scrapeTargets: observabilityService.scrapeTargets(allServices),
+            prometheusUrl: observabilityService.prometheusUrl(service, connections, allServices),
+            datasourceUid: observabilityService.datasourceUid
           });
           await fs.writeFile(targetPath, content);
         } else {
@@ -144,6 +451,10 @@ class BuilderService {
         }
       }
     } catch (error) {
+      if (error.code !== 'ENOENT') {
+        // Broken templates (e.g. an uploaded pack with an EJS error) must not pass silently
+        throw new Error(`Template "${service.type}" failed to render: ${error.message}`);
+      }
       console.log(`Note: No template directory found for ${service.type}, using minimal setup`);
     }
   }
@@ -151,11 +462,11 @@ class BuilderService {
   /**
    * Generate Dockerfile for a service
    */
-  async generateDockerfile(serviceDir, service) {
-    const templatePath = path.join(this.templatesDir, service.type, 'Dockerfile.ejs');
+  async generateDockerfile(serviceDir, service, basePath = '/') {
+    const templatePath = path.join(this.getTemplateDir(service.type), 'Dockerfile.ejs');
     
     try {
-      const dockerfileContent = await ejs.renderFile(templatePath, { service });
+      const dockerfileContent = await ejs.renderFile(templatePath, { service, basePath });
       await fs.writeFile(path.join(serviceDir, 'Dockerfile'), dockerfileContent);
     } catch (error) {
       // Use default Dockerfile if template not found
@@ -167,35 +478,121 @@ class BuilderService {
   /**
    * Generate service-specific configuration
    */
-  async generateServiceConfig(serviceDir, service, connections, allServices) {
+  async generateServiceConfig(serviceDir, service, connections, allServices, metadata = {}) {
     const dependencies = this.findDependencies(service.id, connections, allServices);
-    
-    // Generate connection code based on service type
-    switch (service.type) {
+    const links = connectionService.linksFor(service, connections, allServices);
+    const servers = connectionService.serverLinks(service, connections, allServices);
+    const stack = templateRegistry.get(service.type)?.stack;
+    // The server stubs import the same packages as the clients
+    const packageLinks = [...links, ...servers];
+
+    // Generate connection code based on the template's stack
+    switch (stack) {
       case 'node':
-        await this.generateNodeConfig(serviceDir, service, dependencies);
+        await this.generateNodeConfig(serviceDir, service, dependencies, packageLinks);
         break;
-      case 'python-flask':
-      case 'python-fastapi':
-        await this.generatePythonConfig(serviceDir, service, dependencies);
+      case 'python':
+        await this.generatePythonConfig(serviceDir, service, dependencies, packageLinks);
         break;
-      case 'react':
-      case 'vue':
-      case 'angular':
-        await this.generateFrontendConfig(serviceDir, service, dependencies);
+      case 'frontend':
+        await this.generateFrontendConfig(serviceDir, service, dependencies, links);
         break;
     }
+
+    await this.generateClients(serviceDir, service, stack, links, metadata);
+
+    for (const link of servers) {
+      await this.generateServer(serviceDir, service, stack, link, metadata);
+    }
+
+    if (service.type === 'grafana') {
+      await this.generateDashboards(serviceDir, allServices);
+    }
+  }
+
+  /**
+   * Render a client module into clients/ for every outgoing connection whose
+   * type has one for the service's stack (REST, gRPC, WebSocket and brokers)
+   */
+  async generateClients(serviceDir, service, stack, links, metadata = {}) {
+    const clientsDir = path.join(serviceDir, 'clients');
+    let generated = false;
+
+    for (const link of links) {
+      // Python imports modules by name, so no dashes there
+      const fileName = stack === 'python' ? link.name.replace(/-/g, '_') : link.name;
+
+      for (const templateFile of connectionService.clientFiles(stack, link)) {
+        const extension = path.extname(templateFile.replace(/\.ejs$/, ''));
+        const content = await ejs.renderFile(path.join(this.clientTemplatesDir, templateFile), {
+          service,
+          serviceName: this.sanitizeName(service.label || service.type),
+          link,
+          fileName,
+          metadata
+        });
+
+        await fs.mkdir(clientsDir, { recursive: true });
+        await fs.writeFile(path.join(clientsDir, `${fileName}${extension}`), content);
+        generated = true;
+      }
+    }
+
+    if (generated && stack === 'python') {
+      await fs.writeFile(path.join(clientsDir, '__init__.py'), '');
+    }
+  }
+
+  /**
+   * Render the server stub (and gRPC contract) into rpc/ or realtime/ for a
+   * service other services have a gRPC or WebSocket connection to; the
+   * entrypoint starts it
+   */
+  async generateServer(serviceDir, service, stack, link, metadata = {}) {
+    const serverDir = path.join(serviceDir, connectionService.serverDir(link));
+    await fs.mkdir(serverDir, { recursive: true });
+
+    for (const templateFile of connectionService.serverFiles(stack, link)) {
+      const extension = path.extname(templateFile.replace(/\.ejs$/, ''));
+      const content = await ejs.renderFile(path.join(this.clientTemplatesDir, templateFile), {
+        service,
+        link,
+        fileName: 'service',
+        metadata
+      });
+      await fs.writeFile(path.join(serverDir, extension === '.proto' ? 'service.proto' : `server${extension}`), content);
+    }
+
+    if (stack === 'python') {
+      await fs.writeFile(path.join(serverDir, '__init__.py'), '');
+    }
+  }
+
+  /**
+   * Write a starter Grafana dashboard for every service Prometheus scrapes
+   */
+  async generateDashboards(serviceDir, allServices) {
+    const dashboardsDir = path.join(serviceDir, 'dashboards');
+    // Mounted into the container even when there is nothing to show yet
+    await fs.mkdir(dashboardsDir, { recursive: true });
+
+    for (const target of observabilityService.scrapeTargets(allServices)) {
+      await fs.writeFile(
+        path.join(dashboardsDir, `${target.job}.json`),
+        JSON.stringify(observabilityService.dashboard(target), null, 2)
+      );
+    }
   }
 
   /**
    * Generate Node.js service configuration
    */
-  async generateNodeConfig(serviceDir, service, dependencies) {
+  async generateNodeConfig(serviceDir, service, dependencies, links = []) {
     const dbDep = dependencies.find(d => ['mongodb', 'postgresql', 'mysql'].includes(d.type));
     const redisDep = dependencies.find(d => d.type === 'redis');
 
     let connectionCode = '';
-    let requiredPackages = ['express', 'dotenv', 'cors'];
+    let requiredPackages = ['express', 'dotenv', 'cors', 'prom-client'];
 
     if (dbDep) {
       if (dbDep.type === 'mongodb') {
@@ -215,6 +612,8 @@ class BuilderService {
       connectionCode += this.getRedisConnectionCode(redisDep);
     }
 
+    requiredPackages.push(...connectionService.clientPackages('node', links));
+
     // Update package.json if it exists
     const packageJsonPath = path.join(serviceDir, 'package.json');
     try {
@@ -236,8 +635,9 @@ class BuilderService {
   /**
    * Generate Python service configuration
    */
-  async generatePythonConfig(serviceDir, service, dependencies) {
+  async generatePythonConfig(serviceDir, service, dependencies, links = []) {
     const dbDep = dependencies.find(d => ['mongodb', 'postgresql', 'mysql'].includes(d.type));
+    const redisDep = dependencies.find(d => d.type === 'redis');
     
     let requirements = [];
     
@@ -246,6 +646,7 @@ class BuilderService {
     } else {
       requirements.push('fastapi', 'uvicorn', 'python-dotenv');
     }
+    requirements.push('prometheus-client');
 
     if (dbDep) {
       if (dbDep.type === 'mongodb') {
@@ -257,20 +658,52 @@ class BuilderService {
       }
     }
 
+    if (redisDep) {
+      requirements.push('redis');
+    }
+
+    requirements.push(...connectionService.clientPackages('python', links));
+
+    // Keep pinned versions from the template and append anything missing
+    const requirementsPath = path.join(serviceDir, 'requirements.txt');
+    let existing = [];
+    try {
+      existing = (await fs.readFile(requirementsPath, 'utf8'))
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean);
+    } catch (error) {
+      // No template requirements, start from scratch
+    }
+
+    const installed = new Set(existing.map(line => line.split(/[=<>~!\[ ]/)[0].toLowerCase()));
+    const missing = requirements.filter(pkg => !installed.has(pkg.toLowerCase()));
+
     await fs.writeFile(
-      path.join(serviceDir, 'requirements.txt'),
-      requirements.join('\n')
+      requirementsPath,
+      [...existing, ...missing].join('\n') + '\n'
     );
   }
 
   /**
    * Generate frontend configuration
    */
-  async generateFrontendConfig(serviceDir, service, dependencies) {
+  async generateFrontendConfig(serviceDir, service, dependencies, links = []) {
     const apiDep = dependencies.find(d => ['node', 'python-flask', 'python-fastapi'].includes(d.type));
-    
-    if (apiDep) {
-      const envContent = `REACT_APP_API_URL=http://${this.sanitizeName(apiDep.label)}:${apiDep.config?.port || 5000}\n`;
+    const prefix = FRONTEND_ENV_PREFIXES[service.type];
+
+    // Angular reads the API URL from src/environments/environment.ts instead
+    if (!prefix) return;
+
+    let envContent = apiDep
+      ? `${prefix}API_URL=http://${this.sanitizeName(apiDep.label)}:${apiDep.config?.port || 5000}\n`
+      : '';
+
+    for (const [key, value] of Object.entries(this.getFrontendEnvironment(service, links))) {
+      envContent += `${key}=${value}\n`;
+    }
+
+    if (envContent) {
       await fs.writeFile(path.join(serviceDir, '.env.example'), envContent);
     }
   }
@@ -278,13 +711,31 @@ class BuilderService {
   /**
    * Generate project README
    */
-  async generateReadme(projectDir, { projectName, services, connections }) {
+  async generateReadme(projectDir, { projectName, services, connections, metadata = {} }) {
     const templatePath = path.join(this.templatesDir, 'README.md.ejs');
+
+    const serviceConfigs = services.map(service => ({
+      ...service,
+      label: service.label || service.type,
+      dependsOn: this.findDependencies(service.id, connections, services),
+      sanitizedName: this.sanitizeName(service.label || service.type),
+      routes: gatewayService.isGateway(service) ? gatewayService.routes(service, connections, services) : []
+    }));
     
     const readmeContent = await ejs.renderFile(templatePath, {
       projectName,
-      services,
-      connections,
+      services: serviceConfigs,
+      connections: (connections || []).map(conn => {
+        const target = services.find(s => s.id === conn.target);
+        return { ...conn, type: target ? connectionService.resolveType(conn, target) : conn.type };
+      }),
+      // The environment docker-compose.yml sets on every container
+      environments: this.getComposeServices(services, connections, metadata)
+        .filter(service => Object.keys(service.environment).length > 0)
+        .map(service => ({ label: service.label || service.type, environment: service.environment })),
+      scrapeTargets: observabilityService.scrapeTargets(services),
+      logging: Boolean(metadata.logging),
+      tracing: Boolean(metadata.tracing),
       generatedDate: new Date().toISOString()
     });
 
@@ -294,13 +745,18 @@ class BuilderService {
   /**
    * Generate .env.example
    */
-  async generateEnvExample(projectDir, services) {
+  async generateEnvExample(projectDir, services, connections = []) {
     let envContent = '# Environment Variables\n\n';
     
     services.forEach(service => {
-      if (service.config?.environment) {
+      const environment = {
+        ...this.getConnectionEnvironment(service, connections, services),
+        ...service.config?.environment
+      };
+
+      if (Object.keys(environment).length > 0) {
         envContent += `# ${service.label || service.type}\n`;
-        for (const [key, value] of Object.entries(service.config.environment)) {
+        for (const [key, value] of Object.entries(environment)) {
           envContent += `${key}=${value}\n`;
         }
         envContent += '\n';
@@ -329,6 +785,34 @@ class BuilderService {
     });
   }
 
+  /**
+   * Environment variables wiring a service to the services it connects to
+   */
+  getConnectionEnvironment(service, connections, allServices) {
+    // Gateways read their routes from generated config, not the environment
+    if (gatewayService.isGateway(service)) return {};
+
+    const links = connectionService.linksFor(service, connections, allServices);
+
+    return templateRegistry.get(service.type)?.stack === 'frontend'
+      ? this.getFrontendEnvironment(service, links)
+      : connectionService.environment(links);
+  }
+
+  /**
+   * Browsers only reach other services over HTTP and WebSocket, through the
+   * variables their bundler exposes
+   */
+  getFrontendEnvironment(service, links) {
+    const prefix = FRONTEND_ENV_PREFIXES[service.type];
+    if (!prefix) return {};
+
+    const browserLinks = links.filter(link => ['rest', 'websocket'].includes(link.type));
+    return Object.fromEntries(
+      Object.entries(connectionService.environment(browserLinks)).map(([key, value]) => [`${prefix}${key}`, value])
+    );
+  }
+
   /**
    * Find service dependencies based on connections
    */
@@ -360,7 +844,59 @@ class BuilderService {
       'python-fastapi': `FROM python:3.11-slim\nWORKDIR /app\nCOPY requirements.txt .\nRUN pip install -r requirements.txt\nCOPY . .\nEXPOSE 8000\nCMD ["uvicorn", "main:app", "--host", "0.0.0.0", "--port", "8000"]`
     };
     
-    return dockerfiles[type] || `FROM alpine:latest\nCMD ["echo", "Service ready"]`;
+    if (dockerfiles[type]) {
+      return dockerfiles[type];
+    }
+
+    // Fall back to the base image declared in the template manifest
+    const template = templateRegistry.get(type);
+    if (template?.image) {
+      return `FROM ${template.image}\nWORKDIR /app\nCOPY . .\nEXPOSE ${template.defaultPort}`;
+    }
+
+    return `FROM alpine:latest\nCMD ["echo", "Service ready"]`;
+  }
+
+  /**
+   * Get compose settings for services that run an official image instead of a build
+   * Returns null for services built from a generated Dockerfile
+   */
+  getInfrastructureConfig(service) {
+    const template = templateRegistry.get(service.type);
+    if (!template || template.build) return null;
+
+    const name = this.sanitizeName(service.label || service.type);
+    // Relative mounts are files generated into the service directory
+    const mounts = (template.compose.mounts || []).map(mount => (mount.startsWith('/') ? mount : `./${name}/${mount}`));
+    const healthCommand = template.healthCheck?.command;
+
+    return {
+      image: template.image,
+      port: template.defaultPort,
+      dataPath: template.dataPath,
+      command: template.compose.command || null,
+      // Extra fixed mappings, e.g. a management UI next to the main port
+      ports: template.compose.ports || [],
+      // {{host}} in a default stands for the service's hostname on the network
+      environment: Object.fromEntries(
+        template.env
+          .filter(variable => variable.default !== undefined)
+          .map(variable => [variable.name, String(variable.default).replace(/\{\{host\}\}/g, name)])
+      ),
+      // Compose interpolates $VAR itself, escape so the container shell expands it
+      healthcheck: healthCommand ? ['CMD-SHELL', healthCommand.replace(/\$/g, '$$$$')] : null,
+      volumes: [
+        ...(template.dataPath ? [`${name}-data:${template.dataPath}`] : []),
+        ...mounts
+      ]
+    };
+  }
+
+  /**
+   * Resolve the template directory for a service type
+   */
+  getTemplateDir(type) {
+    return templateRegistry.get(type)?.templateDir || path.join(this.templatesDir, type);
   }
 
   /**
@@ -0,0 +1,423 @@
+const { WebSocketServer } = require('ws');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const User = require('../models/User');
+const Project = require('../models/Project');
+const Organization = require('../models/Organization');
+const templateRegistry = require('./templateRegistry');
+const connectionService = require('./connectionService');
+
+const PEER_COLORS = ['#ef4444', '#f59e0b', '#10b981', '#3b82f6', '#8b5cf6', '#ec4899', '#14b8a6', '#f97316'];
+
+/**
+ * Collaboration Service
+ * Real-time canvas editing over WebSockets. Each open project is a room that
+ * holds the live design in memory. Edits arrive as operations, are applied in
+ * the order the server receives them and are broadcast to every session of the
+ * room (the sender included, as an acknowledgement), so all canvases converge.
+ */
+class CollaborationService {
+  constructor() {
+    this.rooms = new Map();
+    this.wss = null;
+  }
+
+  /**
+   * Accept WebSocket upgrades on /ws next to the HTTP API
+   */
+  attach(server) {
+    this.wss = new WebSocketServer({ noServer: true, maxPayload: 256 * 1024 });
+
+    server.on('upgrade', async (req, socket, head) => {
+      const url = new URL(req.url, 'http://localhost');
+
+      if (url.pathname !== '/ws') {
+        socket.destroy();
+        return;
+      }
+
+      try {
+        const { user, project, templateOwners } = await this.authenticate(
+          url.searchParams.get('token'),
+          url.searchParams.get('projectId')
+        );
+
+        this.wss.handleUpgrade(req, socket, head, ws => this.join(ws, user, project, templateOwners));
+      } catch (error) {
+        socket.write(`HTTP/1.1 ${error.status || 500} ${error.message}\r\n\r\n`);
+        socket.destroy();
+      }
+    });
+  }
+
+  /**
+   * Resolve the session's user and the project it may edit
+   */
+  async authenticate(token, projectId) {
+    const fail = (status, message) => Object.assign(new Error(message), { status });
+
+    if (!token || !projectId) {
+      throw fail(400, 'Bad Request');
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      throw fail(401, 'Unauthorized');
+    }
+
+    const user = await User.findById(decoded.userId);
+    if (!user) {
+      throw fail(401, 'Unauthorized');
+    }
+
+    const project = await Project.findById(projectId).populate('organization').catch(() => null);
+    if (!project || !project.getRoleFor(user._id)) {
+      throw fail(404, 'Not Found');
+    }
+
+    // Same template visibility as generating the project
+    const templateOwners = [
+      user._id,
+      ...await Organization.idsForUser(user._id),
+      project.owner,
+      ...(project.organization ? [project.organization._id] : [])
+    ];
+
+    return { user, project, templateOwners };
+  }
+
+  /**
+   * Rooms start from the saved project and live while someone has it open
+   */
+  getRoom(project) {
+    const projectId = String(project._id);
+
+    if (!this.rooms.has(projectId)) {
+      const saved = project.toObject();
+      this.rooms.set(projectId, {
+        projectId,
+        organizationId: this.organizationIdOf(project),
+        state: {
+          services: saved.services || [],
+          connections: saved.connections || []
+        },
+        seq: 0,
+        clients: new Map()
+      });
+    }
+
+    return this.rooms.get(projectId);
+  }
+
+  organizationIdOf(project) {
+    const organizationId = project.organization?._id || project.organization;
+    return organizationId ? String(organizationId) : null;
+  }
+
+  /**
+   * A save or version restore over the REST API replaces the live design, so
+   * sessions opened later do not start from the state before it
+   */
+  replaceState(project) {
+    const room = this.rooms.get(String(project._id));
+    if (!room) return;
+
+    const saved = project.toObject();
+    room.state = {
+      services: saved.services || [],
+      connections: saved.connections || []
+    };
+    room.seq += 1;
+
+    for (const client of room.clients.values()) {
+      this.sendSync(room, client);
+    }
+  }
+
+  /**
+   * Re-check the sessions of a project after its collaborators or organization
+   * changed: demoted users lose edit rights, users without access are disconnected.
+   * The project's organization must be populated.
+   */
+  refreshAccess(project) {
+    const room = this.rooms.get(String(project._id));
+    if (!room) return;
+
+    room.organizationId = this.organizationIdOf(project);
+
+    for (const client of Array.from(room.clients.values())) {
+      if (!project.getRoleFor(client.userId)) {
+        this.send(client.ws, { type: 'error', error: 'You no longer have access to this project' });
+        this.leave(room, client);
+        client.ws.close(4403, 'Forbidden');
+        continue;
+      }
+      client.canEdit = project.hasRole(client.userId, 'editor');
+    }
+  }
+
+  /**
+   * Reload a project that is open and re-check its sessions
+   */
+  async refreshProject(projectId) {
+    if (!this.rooms.has(String(projectId))) return;
+
+    const project = await Project.findById(projectId).populate('organization');
+    if (project) {
+      this.refreshAccess(project);
+    } else {
+      this.closeRoom(projectId);
+    }
+  }
+
+  /**
+   * Re-check the open projects of an organization after its members changed
+   */
+  async refreshOrganization(organizationId) {
+    const rooms = Array.from(this.rooms.values()).filter(room => room.organizationId === String(organizationId));
+
+    for (const room of rooms) {
+      await this.refreshProject(room.projectId);
+    }
+  }
+
+  /**
+   * Disconnect everyone from a deleted project
+   */
+  closeRoom(projectId) {
+    const room = this.rooms.get(String(projectId));
+    if (!room) return;
+
+    this.rooms.delete(room.projectId);
+    for (const client of room.clients.values()) {
+      this.send(client.ws, { type: 'error', error: 'This project was deleted' });
+      client.ws.close(4404, 'Not Found');
+    }
+  }
+
+  join(ws, user, project, templateOwners) {
+    const room = this.getRoom(project);
+    const clientId = uuidv4();
+    const usedColors = new Set(Array.from(room.clients.values()).map(client => client.color));
+
+    const client = {
+      ws,
+      clientId,
+      userId: String(user._id),
+      username: user.username,
+      // Viewers follow along but cannot edit
+      canEdit: project.hasRole(user._id, 'editor'),
+      templateOwners,
+      color: PEER_COLORS.find(color => !usedColors.has(color)) || PEER_COLORS[room.clients.size % PEER_COLORS.length],
+      cursor: null
+    };
+
+    room.clients.set(clientId, client);
+
+    this.sendSync(room, client);
+    this.broadcastPresence(room);
+
+    ws.on('message', data => this.handleMessage(room, client, data));
+    ws.on('close', () => this.leave(room, client));
+    ws.on('error', () => this.leave(room, client));
+  }
+
+  leave(room, client) {
+    if (!room.clients.delete(client.clientId)) return;
+
+    if (room.clients.size === 0) {
+      // Unsaved edits only live in the open canvases, which have all seen them
+      this.rooms.delete(room.projectId);
+      return;
+    }
+
+    this.broadcastPresence(room);
+  }
+
+  handleMessage(room, client, data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      return;
+    }
+
+    if (message.type === 'op') {
+      const op = client.canEdit ? this.validateOperation(message.op, client.templateOwners) : null;
+      if (!op) {
+        // The sender already applied it locally, so hand it the shared state back
+        this.send(client.ws, {
+          type: 'error',
+          error: client.canEdit ? 'Invalid operation' : 'You have read-only access to this project'
+        });
+        this.sendSync(room, client);
+        return;
+      }
+
+      room.state = this.applyOperation(room.state, op);
+      room.seq += 1;
+      this.broadcast(room, { type: 'op', seq: room.seq, clientId: client.clientId, op });
+    }
+
+    if (message.type === 'cursor') {
+      const { x, y } = message.position || {};
+      client.cursor = Number.isFinite(x) && Number.isFinite(y) ? { x, y } : null;
+      this.broadcast(room, { type: 'cursor', clientId: client.clientId, position: client.cursor }, client.clientId);
+    }
+  }
+
+  sendSync(room, client) {
+    this.send(client.ws, {
+      type: 'sync',
+      clientId: client.clientId,
+      seq: room.seq,
+      state: room.state,
+      peers: this.getPeers(room)
+    });
+  }
+
+  /**
+   * Check the shape of an operation and keep only the fields it is allowed to carry
+   */
+  validateOperation(op, templateOwners) {
+    if (!op || typeof op !== 'object') return null;
+
+    const isId = value => typeof value === 'string' && value.length > 0 && value.length <= 100;
+    const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+    const isPosition = value => isObject(value) && Number.isFinite(value.x) && Number.isFinite(value.y);
+
+    switch (op.kind) {
+      case 'addNode': {
+        const node = op.node;
+        if (!isObject(node) || !isId(node.id) || typeof node.label !== 'string') return null;
+        if (!templateRegistry.isAvailableTo(node.type, templateOwners)) return null;
+        return {
+          kind: 'addNode',
+          node: {
+            id: node.id,
+            type: node.type,
+            label: node.label,
+            position: isPosition(node.position) ? { x: node.position.x, y: node.position.y } : { x: 0, y: 0 },
+            config: isObject(node.config) ? node.config : {}
+          }
+        };
+      }
+      case 'removeNode':
+        return isId(op.id) ? { kind: 'removeNode', id: op.id } : null;
+      case 'updateNodeConfig':
+        return isId(op.id) && isObject(op.config) ? { kind: 'updateNodeConfig', id: op.id, config: op.config } : null;
+      case 'updateNodeLabel':
+        return isId(op.id) && typeof op.label === 'string' ? { kind: 'updateNodeLabel', id: op.id, label: op.label } : null;
+      case 'moveNode':
+        return isId(op.id) && isPosition(op.position)
+          ? { kind: 'moveNode', id: op.id, position: { x: op.position.x, y: op.position.y } }
+          : null;
+      case 'addEdge': {
+        const edge = op.edge;
+        if (!isObject(edge) || !isId(edge.id) || !isId(edge.source) || !isId(edge.target)) return null;
+        return {
+          kind: 'addEdge',
+          edge: { id: edge.id, source: edge.source, target: edge.target, type: connectionService.normalizeType(edge.type) }
+        };
+      }
+      case 'updateEdgeType':
+        return isId(op.id) ? { kind: 'updateEdgeType', id: op.id, type: connectionService.normalizeType(op.type) } : null;
+      case 'removeEdge':
+        return isId(op.id) ? { kind: 'removeEdge', id: op.id } : null;
+      case 'replaceDesign': {
+        if (!Array.isArray(op.services) || !Array.isArray(op.connections)) return null;
+        const services = op.services.map(node => this.validateOperation({ kind: 'addNode', node }, templateOwners));
+        const connections = op.connections.map(edge => this.validateOperation({ kind: 'addEdge', edge }, templateOwners));
+        if (services.includes(null) || connections.includes(null)) return null;
+        return {
+          kind: 'replaceDesign',
+          services: services.map(valid => valid.node),
+          connections: connections.map(valid => valid.edge)
+        };
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Apply an operation to a design. Operations on missing nodes are no-ops, so
+   * replaying the same sequence always gives the same result. The canvas store
+   * on the frontend follows the same rules.
+   */
+  applyOperation(state, op) {
+    const { services, connections } = state;
+    const hasNode = id => services.some(service => service.id === id);
+    const updateNode = (id, update) => services.map(service => (service.id === id ? update(service) : service));
+
+    switch (op.kind) {
+      case 'addNode':
+        if (hasNode(op.node.id)) return state;
+        return { ...state, services: [...services, op.node] };
+      case 'removeNode':
+        return {
+          services: services.filter(service => service.id !== op.id),
+          connections: connections.filter(conn => conn.source !== op.id && conn.target !== op.id)
+        };
+      case 'updateNodeConfig':
+        return {
+          ...state,
+          services: updateNode(op.id, service => ({ ...service, config: { ...service.config, ...op.config } }))
+        };
+      case 'updateNodeLabel':
+        return { ...state, services: updateNode(op.id, service => ({ ...service, label: op.label })) };
+      case 'moveNode':
+        return { ...state, services: updateNode(op.id, service => ({ ...service, position: op.position })) };
+      case 'addEdge':
+        if (connections.some(conn => conn.id === op.edge.id)) return state;
+        if (!hasNode(op.edge.source) || !hasNode(op.edge.target)) return state;
+        return { ...state, connections: [...connections, op.edge] };
+      case 'updateEdgeType':
+        return {
+          ...state,
+          connections: connections.map(conn => (conn.id === op.id ? { ...conn, type: op.type } : conn))
+        };
+      case 'removeEdge':
+        return { ...state, connections: connections.filter(conn => conn.id !== op.id) };
+      case 'replaceDesign':
+        return {
+          services: op.services,
+          connections: op.connections
+        };
+      default:
+        return state;
+    }
+  }
+
+  getPeers(room) {
+    return Array.from(room.clients.values()).map(({ clientId, userId, username, color, cursor }) => ({
+      clientId,
+      userId,
+      username,
+      color,
+      cursor
+    }));
+  }
+
+  broadcastPresence(room) {
+    this.broadcast(room, { type: 'presence', peers: this.getPeers(room) });
+  }
+
+  broadcast(room, message, exceptClientId = null) {
+    for (const client of room.clients.values()) {
+      if (client.clientId !== exceptClientId) {
+        this.send(client.ws, message);
+      }
+    }
+  }
+
+  send(ws, message) {
+    if (ws.readyState === ws.OPEN) {
+      ws.send(JSON.stringify(message));
+    }
+  }
+}
+
+module.exports = new CollaborationService();
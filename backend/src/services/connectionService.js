@@ -0,0 +1,303 @@
+const templateRegistry = require('./templateRegistry');
+
+// Connection types users can pick on an edge; 'default' infers one from the target
+const CONNECTION_TYPES = ['rest', 'grpc', 'database', 'cache', 'queue', 'websocket'];
+
+// Client modules rendered into the source service, per stack and connection
+// type (queues per broker), relative to src/templates/clients
+const CLIENT_FILES = {
+  node: {
+    rest: ['node/rest.js.ejs'],
+    grpc: ['node/grpc.js.ejs', 'service.proto.ejs'],
+    websocket: ['node/websocket.js.ejs'],
+    queue: {
+      rabbitmq: ['node/rabbitmq.js.ejs'],
+      kafka: ['node/kafka.js.ejs'],
+      nats: ['node/nats.js.ejs']
+    }
+  },
+  python: {
+    rest: ['python/rest.py.ejs'],
+    grpc: ['python/grpc.py.ejs', 'service.proto.ejs'],
+    websocket: ['python/websocket.py.ejs'],
+    queue: {
+      rabbitmq: ['python/rabbitmq.py.ejs'],
+      kafka: ['python/kafka.py.ejs'],
+      nats: ['python/nats.py.ejs']
+    }
+  }
+};
+
+// Server stubs rendered into the target service, under SERVER_DIRS
+const SERVER_FILES = {
+  node: {
+    grpc: ['node/grpc-server.js.ejs', 'service.proto.ejs'],
+    websocket: ['node/websocket-server.js.ejs']
+  },
+  python: {
+    grpc: ['python/grpc_server.py.ejs', 'service.proto.ejs'],
+    websocket: ['python/websocket_server.py.ejs']
+  }
+};
+
+const SERVER_DIRS = {
+  grpc: 'rpc',
+  websocket: 'realtime'
+};
+
+// gRPC and WebSocket are served next to the HTTP API, each on a port of its own
+const SERVER_PORTS = {
+  grpc: 50051,
+  websocket: 8765
+};
+
+// Packages the generated clients (and servers) import
+const CLIENT_PACKAGES = {
+  node: {
+    grpc: ['@grpc/grpc-js', '@grpc/proto-loader'],
+    websocket: ['ws'],
+    queue: {
+      rabbitmq: ['amqplib'],
+      kafka: ['kafkajs'],
+      nats: ['nats']
+    }
+  },
+  python: {
+    rest: ['requests'],
+    grpc: ['grpcio', 'grpcio-tools'],
+    websocket: ['websockets'],
+    queue: {
+      rabbitmq: ['pika'],
+      kafka: ['confluent-kafka'],
+      nats: ['nats-py']
+    }
+  }
+};
+
+// Queue, topic or subject producers and consumers share unless configured otherwise
+const DEFAULT_CHANNEL = 'events';
+
+/**
+ * Connection Service
+ * Resolves what an edge on the canvas means for the generated code: the
+ * connection type, where the target is reachable inside the compose network
+ * and which environment variables the source service reads it from.
+ */
+class ConnectionService {
+  constructor() {
+    this.types = CONNECTION_TYPES;
+  }
+
+  /**
+   * Known connection type, or 'default' for anything else (older designs stored
+   * the React Flow edge style here)
+   */
+  normalizeType(type) {
+    return CONNECTION_TYPES.includes(type) ? type : 'default';
+  }
+
+  /**
+   * Connection type of an edge, inferred from the target service when unset
+   */
+  resolveType(connection, target) {
+    const type = this.normalizeType(connection.type);
+    if (SERVER_PORTS[type] && !this.serves(target, type)) return this.resolveType({}, target);
+    if (type !== 'default') return type;
+
+    const template = templateRegistry.get(target.type);
+    if (template?.category === 'Database') return 'database';
+    if (template?.category === 'Messaging') return 'queue';
+    if (target.type === 'redis') return 'cache';
+    return 'rest';
+  }
+
+  /**
+   * Every outgoing connection of a service with its resolved type, hostname,
+   * port and environment variables
+   */
+  linksFor(service, connections = [], allServices = []) {
+    return connections
+      .filter(conn => conn.source === service.id)
+      .map(conn => {
+        const target = allServices.find(s => s.id === conn.target);
+        return target ? this.describe(conn, target) : null;
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Whether Kontrol generates a gRPC or WebSocket server for the target's
+   * stack; such links to anything else fall back to the inferred type
+   */
+  serves(target, type) {
+    return Boolean(SERVER_FILES[templateRegistry.get(target.type)?.stack]?.[type]);
+  }
+
+  /**
+   * The first incoming link of each served type of a service, which its server
+   * stubs are rendered from (every caller shares the same contract)
+   */
+  serverLinks(service, connections = [], allServices = []) {
+    const servers = {};
+    for (const conn of connections.filter(conn => conn.target === service.id)) {
+      if (!allServices.some(s => s.id === conn.source)) continue;
+      const link = this.describe(conn, service);
+      if (SERVER_PORTS[link.type] && !servers[link.type]) servers[link.type] = link;
+    }
+    return Object.values(servers);
+  }
+
+  describe(connection, target) {
+    const type = this.resolveType(connection, target);
+    const name = this.hostname(target);
+    // e.g. "user-api" -> userApi, used for module and class names
+    const identifier = name.replace(/-+([a-z0-9])/g, (_, char) => char.toUpperCase()).replace(/^[^a-z]+/, '') || 'service';
+    const link = {
+      id: connection.id,
+      type,
+      service: target,
+      name,
+      // e.g. "user-api" -> USER_API, used for environment variables
+      envPrefix: name.toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'SERVICE',
+      identifier,
+      className: identifier.charAt(0).toUpperCase() + identifier.slice(1),
+      host: name,
+      port: SERVER_PORTS[type] || this.containerPort(target)
+    };
+
+    return { ...link, environment: this.environmentFor(link) };
+  }
+
+  /**
+   * Compose service name of a service, which is also its hostname on the network
+   */
+  hostname(service) {
+    return (service.label || service.type).toLowerCase().replace(/[^a-z0-9-]/g, '-').replace(/-+/g, '-');
+  }
+
+  /**
+   * Port the target listens on inside the network; official images keep their
+   * default port, built services listen on the port set on the canvas
+   */
+  containerPort(service) {
+    const template = templateRegistry.get(service.type);
+    if (template && !template.build) return template.defaultPort;
+    return service.config?.port || template?.defaultPort || 80;
+  }
+
+  /**
+   * Environment variables the source service reads the connection from
+   */
+  environmentFor({ type, service, envPrefix, host, port }) {
+    switch (type) {
+      case 'rest':
+        return { [`${envPrefix}_URL`]: `http://${host}:${port}` };
+      case 'grpc':
+        return { [`${envPrefix}_GRPC_ADDRESS`]: `${host}:${port}` };
+      case 'websocket':
+        return { [`${envPrefix}_WS_URL`]: `ws://${host}:${port}` };
+      case 'database':
+        return this.databaseEnvironment(service, envPrefix, host, port);
+      case 'cache':
+        return service.type === 'redis'
+          ? { REDIS_URL: `redis://${host}:${port}` }
+          : { [`${envPrefix}_HOST`]: host, [`${envPrefix}_PORT`]: String(port) };
+      case 'queue':
+        return this.brokerEnvironment(service, envPrefix, host, port);
+      default:
+        return {};
+    }
+  }
+
+  /**
+   * The variables the backend templates read for each database, filled in
+   * with the credentials the database container is started with
+   */
+  databaseEnvironment(service, envPrefix, host, port) {
+    const env = { ...this.templateDefaults(service), ...(service.config?.environment || {}) };
+
+    switch (service.type) {
+      case 'mongodb':
+        return { MONGODB_URI: `mongodb://${host}:${port}/${env.MONGO_INITDB_DATABASE || 'mydb'}` };
+      case 'postgresql':
+        return {
+          POSTGRES_HOST: host,
+          POSTGRES_PORT: String(port),
+          POSTGRES_DB: env.POSTGRES_DB || 'mydb',
+          POSTGRES_USER: env.POSTGRES_USER || 'postgres',
+          POSTGRES_PASSWORD: env.POSTGRES_PASSWORD || 'password'
+        };
+      case 'mysql':
+        return {
+          MYSQL_HOST: host,
+          MYSQL_PORT: String(port),
+          MYSQL_DATABASE: env.MYSQL_DATABASE || 'mydb',
+          MYSQL_USER: 'root',
+          MYSQL_PASSWORD: env.MYSQL_ROOT_PASSWORD || 'password'
+        };
+      default:
+        return { [`${envPrefix}_HOST`]: host, [`${envPrefix}_PORT`]: String(port) };
+    }
+  }
+
+  /**
+   * Broker address and the queue, topic or subject to use
+   */
+  brokerEnvironment(service, envPrefix, host, port) {
+    const env = { ...this.templateDefaults(service), ...(service.config?.environment || {}) };
+
+    switch (service.type) {
+      case 'rabbitmq': {
+        const user = encodeURIComponent(env.RABBITMQ_DEFAULT_USER || 'guest');
+        const password = encodeURIComponent(env.RABBITMQ_DEFAULT_PASS || 'guest');
+        return { RABBITMQ_URL: `amqp://${user}:${password}@${host}:${port}`, RABBITMQ_QUEUE: DEFAULT_CHANNEL };
+      }
+      case 'kafka':
+        return { KAFKA_BROKERS: `${host}:${port}`, KAFKA_TOPIC: DEFAULT_CHANNEL };
+      case 'nats':
+        return { NATS_URL: `nats://${host}:${port}`, NATS_SUBJECT: DEFAULT_CHANNEL };
+      default:
+        return { [`${envPrefix}_BROKER_URL`]: `${host}:${port}` };
+    }
+  }
+
+  templateDefaults(service) {
+    const template = templateRegistry.get(service.type);
+    return Object.fromEntries(
+      (template?.env || []).filter(variable => variable.default !== undefined).map(variable => [variable.name, variable.default])
+    );
+  }
+
+  /**
+   * Environment of all outgoing connections; links listed first win on clashes
+   */
+  environment(links) {
+    return links.reduceRight((env, link) => ({ ...env, ...link.environment }), {});
+  }
+
+  clientFiles(stack, link) {
+    return this.forLink(CLIENT_FILES[stack]?.[link.type], link);
+  }
+
+  serverFiles(stack, link) {
+    return SERVER_FILES[stack]?.[link.type] || [];
+  }
+
+  serverDir(link) {
+    return SERVER_DIRS[link.type];
+  }
+
+  clientPackages(stack, links) {
+    return [...new Set(links.flatMap(link => this.forLink(CLIENT_PACKAGES[stack]?.[link.type], link)))];
+  }
+
+  /**
+   * Entries are either a list, or lists keyed by the target's service type
+   */
+  forLink(entry, link) {
+    if (Array.isArray(entry)) return entry;
+    return entry?.[link.service.type] || [];
+  }
+}
+
+module.exports = new ConnectionService();
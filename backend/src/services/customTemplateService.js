@@ -0,0 +1,173 @@
+const fs = require('fs').promises;
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { v4: uuidv4 } = require('uuid');
+const templateRegistry = require('./templateRegistry');
+
+const MAX_ENTRIES = 500;
+const MAX_UNCOMPRESSED_SIZE = 20 * 1024 * 1024;
+
+/**
+ * Custom Template Service
+ * Installs user-uploaded EJS template packs (zip archives) into the template registry
+ */
+class CustomTemplateService {
+  /**
+   * Uploaded templates are executed by EJS on the server, so the feature is opt-in
+   */
+  isEnabled() {
+    return process.env.CUSTOM_TEMPLATES_ENABLED === 'true';
+  }
+
+  /**
+   * Only the template admins listed in CUSTOM_TEMPLATE_ADMINS (comma-separated
+   * emails) may upload, since a pack can run any code on the backend
+   */
+  canUpload(user) {
+    if (!this.isEnabled() || !user?.email) return false;
+
+    const admins = (process.env.CUSTOM_TEMPLATE_ADMINS || '')
+      .split(',')
+      .map(email => email.trim().toLowerCase())
+      .filter(Boolean);
+
+    return admins.includes(user.email.toLowerCase());
+  }
+
+  /**
+   * Extract a zipped template pack and register it for its owner
+   */
+  async installPack(ownerId, zipBuffer) {
+    let zip;
+    try {
+      zip = new AdmZip(zipBuffer);
+    } catch (error) {
+      throw this.badRequest('Upload is not a valid zip archive');
+    }
+
+    const entries = zip.getEntries().filter(entry => !entry.isDirectory && !this.isJunk(entry.entryName));
+
+    if (entries.length === 0) {
+      throw this.badRequest('Template pack is empty');
+    }
+    if (entries.length > MAX_ENTRIES) {
+      throw this.badRequest(`Template pack has more than ${MAX_ENTRIES} files`);
+    }
+    if (entries.reduce((total, entry) => total + entry.header.size, 0) > MAX_UNCOMPRESSED_SIZE) {
+      throw this.badRequest('Template pack is too large once extracted');
+    }
+
+    // Packs zipped from a folder carry that folder as a common prefix
+    const root = this.findPackRoot(entries.map(entry => entry.entryName));
+    const manifestEntry = entries.find(entry => entry.entryName === `${root}template.json`);
+
+    if (!manifestEntry) {
+      throw this.badRequest('Template pack must contain a template.json manifest at its root');
+    }
+
+    let raw;
+    try {
+      raw = JSON.parse(manifestEntry.getData().toString('utf8'));
+    } catch (error) {
+      throw this.badRequest(`Invalid template.json: ${error.message}`);
+    }
+
+    // Uploads have no directory name to fall back on
+    if (!raw || typeof raw.type !== 'string' || !raw.type) {
+      throw this.badRequest('Invalid template.json: manifest is missing "type"');
+    }
+
+    let manifest;
+    try {
+      manifest = templateRegistry.normalizeManifest(raw, raw.type, ownerId);
+    } catch (error) {
+      throw this.badRequest(`Invalid template.json: ${error.message}`);
+    }
+
+    const existing = templateRegistry.get(manifest.type);
+    if (existing && existing.owner !== String(ownerId)) {
+      throw this.conflict(`Template type "${manifest.type}" is already in use`);
+    }
+
+    const ownerDir = templateRegistry.getOwnerDir(ownerId);
+    const templateDir = path.join(ownerDir, manifest.type);
+    const stagingDir = path.join(ownerDir, `.staging-${uuidv4()}`);
+
+    try {
+      for (const entry of entries) {
+        if (!entry.entryName.startsWith(root)) continue;
+
+        const targetPath = path.resolve(stagingDir, entry.entryName.slice(root.length));
+        if (!targetPath.startsWith(stagingDir + path.sep)) {
+          throw this.badRequest(`Illegal path in template pack: ${entry.entryName}`);
+        }
+
+        await fs.mkdir(path.dirname(targetPath), { recursive: true });
+        await fs.writeFile(targetPath, entry.getData());
+      }
+
+      // Replace any previous upload of the same type atomically
+      await fs.rm(templateDir, { recursive: true, force: true });
+      await fs.rename(stagingDir, templateDir);
+    } catch (error) {
+      await fs.rm(stagingDir, { recursive: true, force: true });
+      throw error;
+    }
+
+    templateRegistry.unregister(manifest.type);
+    return templateRegistry.register(manifest, templateDir, ownerId);
+  }
+
+  /**
+   * Delete one of the owner's uploaded templates
+   */
+  async removePack(ownerId, type) {
+    const template = templateRegistry.get(type);
+
+    if (!template || !template.custom || template.owner !== String(ownerId)) {
+      return false;
+    }
+
+    await fs.rm(template.templateDir, { recursive: true, force: true });
+    templateRegistry.unregister(type);
+    return true;
+  }
+
+  /**
+   * Longest directory prefix shared by every entry, e.g. "go-service/"
+   */
+  findPackRoot(names) {
+    const [first, ...rest] = names;
+    const segments = first.split('/').slice(0, -1);
+    let root = '';
+
+    for (const segment of segments) {
+      const candidate = `${root}${segment}/`;
+      if (!rest.every(name => name.startsWith(candidate))) break;
+      root = candidate;
+    }
+
+    return root;
+  }
+
+  /**
+   * Skip OS metadata that archivers like to add
+   */
+  isJunk(name) {
+    return name.startsWith('__MACOSX/') || path.basename(name) === '.DS_Store';
+  }
+
+  badRequest(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+  }
+
+  conflict(message) {
+    const error = new Error(message);
+    error.status = 409;
+    return error;
+  }
+}
+
+module.exports = new CustomTemplateService();
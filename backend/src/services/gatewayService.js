@@ -0,0 +1,101 @@
+const templateRegistry = require('./templateRegistry');
+const connectionService = require('./connectionService');
+
+/**
+ * Gateway Service
+ * Turns the edges leaving a gateway node (nginx, traefik) into routes: every
+ * backend gets an /api/<name> prefix that is stripped before proxying, the
+ * first frontend is served at / with SPA fallback and further frontends under
+ * /<name>, kept when proxying and used as their base path so their absolute
+ * asset URLs resolve. Services of other categories are not routed.
+ */
+class GatewayService {
+  isGateway(service) {
+    return templateRegistry.get(service.type)?.category === 'Gateway';
+  }
+
+  routes(gateway, connections = [], allServices = []) {
+    const links = connectionService.linksFor(gateway, connections, allServices);
+    const categoryOf = link => templateRegistry.get(link.service.type)?.category;
+    const toRoute = (link, route) => ({
+      name: link.name,
+      label: link.service.label,
+      host: link.host,
+      port: link.port,
+      ...route
+    });
+
+    const backends = links
+      .filter(link => categoryOf(link) === 'Backend')
+      .map(link => toRoute(link, { path: `/api/${link.name}`, stripPrefix: true, spa: false }));
+    const frontends = links
+      .filter(link => categoryOf(link) === 'Frontend')
+      .map((link, index) => toRoute(link, {
+        path: index === 0 ? '/' : `/${link.name}`,
+        stripPrefix: false,
+        spa: true
+      }));
+
+    // Most specific prefixes first
+    return [...backends, ...frontends];
+  }
+
+  /**
+   * Base path a frontend is built with: '/<name>/' when a gateway serves it
+   * under a prefix, '/' otherwise
+   */
+  basePath(service, connections = [], allServices = []) {
+    const name = connectionService.hostname(service);
+    const prefixed = allServices
+      .filter(gateway =>
+        this.isGateway(gateway) &&
+        connections.some(conn => conn.source === gateway.id && conn.target === service.id)
+      )
+      .flatMap(gateway => this.routes(gateway, connections, allServices))
+      .find(route => route.spa && route.name === name && route.path !== '/');
+
+    return prefixed ? `${prefixed.path}/` : '/';
+  }
+
+  /**
+   * Docker labels that route Traefik gateways to a service
+   */
+  traefikLabels(service, connections = [], allServices = []) {
+    const gateways = allServices.filter(candidate =>
+      candidate.type === 'traefik' &&
+      connections.some(conn => conn.source === candidate.id && conn.target === service.id)
+    );
+    if (gateways.length === 0) return [];
+
+    const labels = ['traefik.enable=true'];
+
+    for (const gateway of gateways) {
+      const route = this.routes(gateway, connections, allServices)
+        .find(candidate => candidate.host === connectionService.hostname(service));
+      if (!route) continue;
+
+      const router = `${connectionService.hostname(gateway)}-${route.name}`;
+      labels.push(
+        `traefik.http.routers.${router}.rule=PathPrefix(\`${route.path}\`)`,
+        `traefik.http.routers.${router}.entrypoints=web`,
+        `traefik.http.routers.${router}.service=${router}`,
+        `traefik.http.services.${router}.loadbalancer.server.port=${route.port}`
+      );
+
+      if (route.path === '/') {
+        // Catch-all for client-side routes, after every prefix route
+        labels.push(`traefik.http.routers.${router}.priority=1`);
+      }
+      if (route.stripPrefix) {
+        labels.push(
+          `traefik.http.middlewares.${router}-strip.stripprefix.prefixes=${route.path}`,
+          `traefik.http.routers.${router}.middlewares=${router}-strip`
+        );
+      }
+    }
+
+    return labels.length > 1 ? labels : [];
+  }
+}
+
+module.exports = new GatewayService();
@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const { createTwoFilesPatch } = require('diff');
+const Generation = require('../models/Generation');
+
+// Older generations are pruned; only the latest is needed as a diff baseline
+const GENERATIONS_KEPT = 10;
+
+// Abbreviated id of a missing file in git's index lines
+const NULL_BLOB = '0000000';
+
+// Lines that change on every generation, e.g. the README's timestamp; diffs keep the previous version
+const VOLATILE_LINES = {
+  'README.md': /^Microservice project generated by \*\*Kontrol\*\* on .*$/m
+};
+
+/**
+ * Generation Service
+ * Records the content hash manifest of each project generation and diffs
+ * fresh output against the last one
+ */
+class GenerationService {
+  /**
+   * Store the files of a generation and prune old ones
+   */
+  async record(projectId, ownerId, files) {
+    const generation = await Generation.create({
+      project: projectId,
+      owner: ownerId,
+      files
+    });
+
+    const stale = await Generation.find({ project: projectId })
+      .sort({ createdAt: -1 })
+      .skip(GENERATIONS_KEPT)
+      .select('_id');
+
+    if (stale.length > 0) {
+      await Generation.deleteMany({ _id: { $in: stale.map(doc => doc._id) } });
+    }
+
+    return generation;
+  }
+
+  async getLatest(projectId) {
+    return Generation.findOne({ project: projectId }).sort({ createdAt: -1 });
+  }
+
+  async removeForProject(projectId) {
+    await Generation.deleteMany({ project: projectId });
+  }
+
+  /**
+   * Compare two file lists by hash and build a unified diff per changed file
+   */
+  diff(previousFiles, currentFiles) {
+    const previous = new Map(previousFiles.map(file => [file.path, file]));
+    const current = new Map(currentFiles.map(file => [file.path, file]));
+    const paths = [...new Set([...previous.keys(), ...current.keys()])].sort();
+
+    const summary = { added: 0, modified: 0, deleted: 0, unchanged: 0 };
+    const files = [];
+
+    for (const filePath of paths) {
+      const before = previous.get(filePath);
+      const after = this.keepVolatileLines(filePath, before, current.get(filePath));
+
+      let status;
+      if (!before) status = 'added';
+      else if (!after) status = 'deleted';
+      else if (before.hash !== after.hash && (after.content === null || before.content !== after.content)) status = 'modified';
+      else status = 'unchanged';
+
+      summary[status] += 1;
+      if (status === 'unchanged') continue;
+
+      files.push({
+        path: filePath,
+        status,
+        diff: this.createPatch(filePath, before, after)
+      });
+    }
+
+    return {
+      summary,
+      files,
+      patch: files.map(file => file.diff).filter(Boolean).join('')
+    };
+  }
+
+  /**
+   * Carry the previous generation's volatile lines over, so they neither
+   * mark a file as modified nor show up in its diff
+   */
+  keepVolatileLines(filePath, before, after) {
+    const pattern = VOLATILE_LINES[filePath];
+    if (!pattern || !before?.content || !after?.content) return after;
+
+    const previousLine = before.content.match(pattern);
+    if (!previousLine) return after;
+
+    return { ...after, content: after.content.replace(pattern, () => previousLine[0]) };
+  }
+
+  /**
+   * Unified diff in git's a/ b/ layout so it applies with `git apply` or `patch -p1`
+   */
+  createPatch(filePath, before, after) {
+    if ((before && before.content === null) || (after && after.content === null)) {
+      // Binary files have no textual diff
+      return null;
+    }
+
+    if (!before || !after) {
+      return this.createWholeFilePatch(filePath, before ? '-' : '+', (before || after).content);
+    }
+
+    const header = `diff --git a/${filePath} b/${filePath}\n` +
+      `index ${this.blobId(before.content)}..${this.blobId(after.content)} 100644\n`;
+
+    return header + createTwoFilesPatch(
+      `a/${filePath}`,
+      `b/${filePath}`,
+      before.content,
+      after.content,
+      '',
+      '',
+      { context: 3 }
+    )
+      .replace(/^=+\n/, '')
+      .replace(/^(---|\+\+\+) (.*)\t$/gm, '$1 $2');
+  }
+
+  /**
+   * Patch adding or deleting a whole file. The diff library diffs against
+   * empty content here and flags a missing final newline that is not missing.
+   * Empty files have no hunk, so only the git header says what happens to them.
+   */
+  createWholeFilePatch(filePath, sign, content) {
+    const blobs = sign === '+' ? [NULL_BLOB, this.blobId(content)] : [this.blobId(content), NULL_BLOB];
+    const gitHeader = `diff --git a/${filePath} b/${filePath}\n` +
+      `${sign === '+' ? 'new' : 'deleted'} file mode 100644\n` +
+      `index ${blobs.join('..')}\n`;
+    if (content === '') return gitHeader;
+
+    const header = gitHeader + (sign === '+'
+      ? `--- /dev/null\n+++ b/${filePath}\n`
+      : `--- a/${filePath}\n+++ /dev/null\n`);
+
+    const lines = content.split('\n');
+    const endsWithNewline = lines[lines.length - 1] === '';
+    if (endsWithNewline) lines.pop();
+
+    const range = `-${sign === '-' ? `1,${lines.length}` : '0,0'} +${sign === '+' ? `1,${lines.length}` : '0,0'}`;
+    return `${header}@@ ${range} @@\n` +
+      lines.map(line => `${sign}${line}\n`).join('') +
+      (endsWithNewline ? '' : '\\ No newline at end of file\n');
+  }
+
+  /**
+   * Abbreviated git blob id of a file's content, which `patch` needs to
+   * create or delete empty files
+   */
+  blobId(content) {
+    return crypto.createHash('sha1')
+      .update(`blob ${Buffer.byteLength(content)}\0`)
+      .update(content)
+      .digest('hex')
+      .slice(0, 7);
+  }
+}
+
+module.exports = new GenerationService();
@@ -0,0 +1,465 @@
+const yaml = require('js-yaml');
+const { v4: uuidv4 } = require('uuid');
+const templateRegistry = require('./templateRegistry');
+const layoutService = require('./layoutService');
+const builderService = require('./builderService');
+
+// Image basenames that differ from a template's own image, matched exactly
+const IMAGE_ALIASES = {
+  postgresql: 'postgresql',
+  postgis: 'postgresql',
+  timescaledb: 'postgresql',
+  mongodb: 'mongodb',
+  mariadb: 'mysql',
+  percona: 'mysql',
+  'percona-server': 'mysql',
+  'redis-stack': 'redis',
+  'redis-stack-server': 'redis',
+  valkey: 'redis',
+  keydb: 'redis',
+  'cp-kafka': 'kafka',
+  redpanda: 'kafka'
+};
+
+// Hints in a service's name, image or build context for application templates,
+// checked in order so frameworks win over plain runtimes
+const APP_HINTS = [
+  ['angular', 'angular'],
+  ['vue', 'vue'],
+  ['react', 'react'],
+  ['next', 'react'],
+  ['fastapi', 'python-fastapi'],
+  ['uvicorn', 'python-fastapi'],
+  ['flask', 'python-flask'],
+  ['gunicorn', 'python-flask'],
+  ['spark', 'pyspark'],
+  ['frontend', 'react'],
+  ['python', 'python-fastapi'],
+  ['node', 'node']
+];
+
+// Kinds that become canvas services; everything else is reported and skipped
+const WORKLOAD_KINDS = ['Deployment', 'StatefulSet'];
+
+const badRequest = message => Object.assign(new Error(message), { status: 400 });
+
+/**
+ * Import Service
+ * Turns existing deployment files into blueprints the canvas can load
+ */
+class ImportService {
+  /**
+   * Convert a docker-compose.yml into services and connections.
+   * Compose services without a matching template are skipped and reported.
+   */
+  fromCompose(content, { name, templateOwners = [] } = {}) {
+    let doc;
+    try {
+      doc = yaml.load(content);
+    } catch (error) {
+      throw badRequest(`Invalid YAML: ${error.reason || error.message}`);
+    }
+
+    if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+      throw badRequest('The file is not a docker-compose document');
+    }
+
+    // Version 1 files list services at the top level
+    const composeServices = doc.services || this.pickLegacyServices(doc);
+    if (!composeServices || typeof composeServices !== 'object' || Object.keys(composeServices).length === 0) {
+      throw badRequest('No services found in the compose file');
+    }
+
+    const templates = templateRegistry.listFor(templateOwners);
+    const warnings = [];
+    const idsByName = new Map();
+    const services = [];
+
+    for (const [serviceName, definition] of Object.entries(composeServices)) {
+      const spec = definition || {};
+      const type = this.matchServiceType(serviceName, spec, templates);
+
+      if (!type) {
+        warnings.push(`Skipped "${serviceName}": no template matches image "${spec.image || 'build'}"`);
+        continue;
+      }
+
+      const template = templateRegistry.get(type);
+      const id = uuidv4();
+      idsByName.set(serviceName, id);
+
+      services.push({
+        id,
+        type,
+        label: serviceName,
+        config: {
+          port: this.parsePort(spec.ports || spec.expose) || template.defaultPort,
+          environment: this.parseEnvironment(spec.environment),
+          volumes: this.withoutDataMount(this.parseVolumes(spec.volumes), template, serviceName, warnings)
+        }
+      });
+    }
+
+    const connections = [];
+    for (const [serviceName, definition] of Object.entries(composeServices)) {
+      const source = idsByName.get(serviceName);
+      if (!source) continue;
+
+      for (const dependency of this.parseDependencies(definition || {})) {
+        const target = idsByName.get(dependency);
+        if (!target) {
+          warnings.push(`Dropped dependency "${serviceName}" → "${dependency}": service was not imported`);
+          continue;
+        }
+        this.addConnection(connections, source, target);
+      }
+    }
+
+    return {
+      name: doc.name || this.nameFromFile(name) || 'Imported Project',
+      description: 'Imported from docker-compose',
+      services: layoutService.layout(services, connections),
+      connections,
+      metadata: this.parseComposeMetadata(doc),
+      warnings
+    };
+  }
+
+  /**
+   * Convert multi-document Kubernetes YAML into services and connections.
+   * Deployments and StatefulSets become services; edges are inferred from
+   * env vars that point at another workload's Service DNS name.
+   */
+  fromKubernetes(content, { name, templateOwners = [] } = {}) {
+    let docs;
+    try {
+      docs = yaml.loadAll(content);
+    } catch (error) {
+      throw badRequest(`Invalid YAML: ${error.reason || error.message}`);
+    }
+
+    // kubectl output wraps resources in a List
+    const resources = docs
+      .flatMap(doc => (doc && doc.kind === 'List' && Array.isArray(doc.items) ? doc.items : [doc]))
+      .filter(doc => doc && typeof doc === 'object' && doc.kind && doc.metadata?.name);
+
+    if (resources.length === 0) {
+      throw badRequest('No Kubernetes resources found in the file');
+    }
+
+    const templates = templateRegistry.listFor(templateOwners);
+    const warnings = [];
+    const workloads = [];
+    const kubeServices = [];
+    const ignored = new Map();
+
+    for (const resource of resources) {
+      if (WORKLOAD_KINDS.includes(resource.kind)) {
+        workloads.push(resource);
+      } else if (resource.kind === 'Service') {
+        kubeServices.push(resource);
+      } else {
+        ignored.set(resource.kind, (ignored.get(resource.kind) || 0) + 1);
+      }
+    }
+
+    if (ignored.size > 0) {
+      const kinds = Array.from(ignored.entries()).map(([kind, count]) => `${count} ${kind}`);
+      warnings.push(`Ignored resources without a canvas equivalent: ${kinds.join(', ')}`);
+    }
+
+    const services = [];
+    const imported = [];
+
+    for (const workload of workloads) {
+      const workloadName = workload.metadata.name;
+      const podSpec = workload.spec?.template?.spec || {};
+      const container = (podSpec.containers || [])[0];
+
+      if (!container) {
+        warnings.push(`Skipped ${workload.kind} "${workloadName}": it has no containers`);
+        continue;
+      }
+
+      let type = this.matchServiceType(workloadName, { image: container.image }, templates);
+      // In-house images rarely say what they run; treat them as APIs
+      if (!type && templates.some(template => template.type === 'node')) {
+        type = 'node';
+        warnings.push(`Imported ${workload.kind} "${workloadName}" as Node.js: no template matches image "${container.image}"`);
+      }
+      if (!type) {
+        warnings.push(`Skipped ${workload.kind} "${workloadName}": no template matches image "${container.image}"`);
+        continue;
+      }
+
+      const id = uuidv4();
+      const backingServices = kubeServices.filter(svc =>
+        this.namespaceOf(svc) === this.namespaceOf(workload) &&
+        this.selectorMatches(svc.spec?.selector, workload.spec?.template?.metadata?.labels)
+      );
+      const servicePort = backingServices[0]?.spec?.ports?.[0];
+
+      services.push({
+        id,
+        type,
+        label: workloadName,
+        config: {
+          port: Number(container.ports?.[0]?.containerPort) ||
+            Number(servicePort?.targetPort) ||
+            Number(servicePort?.port) ||
+            templateRegistry.get(type).defaultPort,
+          environment: this.parseContainerEnvironment(container.env),
+          volumes: this.withoutDataMount(
+            (container.volumeMounts || []).map(mount => `${mount.name}:${mount.mountPath}${mount.readOnly ? ':ro' : ''}`),
+            templateRegistry.get(type),
+            workloadName,
+            warnings
+          )
+        }
+      });
+      imported.push({ id, workload, container, backingServices });
+    }
+
+    const connections = [];
+    for (const { id, workload, container } of imported) {
+      const references = Object.values(this.parseContainerEnvironment(container.env))
+        .flatMap(value => this.findHostnames(value));
+
+      for (const target of imported) {
+        if (target.id === id) continue;
+
+        const referenced = target.backingServices.some(svc =>
+          references.some(host => this.isServiceHostname(host, svc.metadata.name, this.namespaceOf(svc), this.namespaceOf(workload)))
+        );
+        if (referenced) {
+          this.addConnection(connections, id, target.id);
+        }
+      }
+    }
+
+    return {
+      name: this.nameFromFile(name) || 'Imported Project',
+      description: 'Imported from Kubernetes manifests',
+      services: layoutService.layout(services, connections),
+      connections,
+      metadata: {},
+      warnings
+    };
+  }
+
+  namespaceOf(resource) {
+    return resource.metadata?.namespace || 'default';
+  }
+
+  selectorMatches(selector, labels) {
+    const entries = Object.entries(selector || {});
+    return entries.length > 0 && entries.every(([key, value]) => labels?.[key] === value);
+  }
+
+  /**
+   * Literal env values; ones read from secrets or config maps are left blank
+   */
+  parseContainerEnvironment(env) {
+    return Object.fromEntries(
+      (env || [])
+        .filter(entry => entry && entry.name)
+        .map(entry => [entry.name, entry.value === undefined || entry.value === null ? '' : String(entry.value)])
+    );
+  }
+
+  /**
+   * Host names mentioned in a value such as "postgres://user:pw@db.data.svc:5432/app"
+   */
+  findHostnames(value) {
+    const withoutCredentials = value
+      .replace(/[a-z][a-z0-9+.-]*:\/\//gi, ' ')
+      .replace(/[^\s/@,]+@/g, ' ');
+
+    return (withoutCredentials.match(/[a-z0-9][a-z0-9.-]*/gi) || [])
+      .map(host => host.toLowerCase().replace(/\.+$/, ''));
+  }
+
+  /**
+   * Whether a host name resolves to the given Service from a pod in `fromNamespace`:
+   * "name" (same namespace), "name.ns", "name.ns.svc" or "name.ns.svc.cluster.local"
+   */
+  isServiceHostname(host, serviceName, serviceNamespace, fromNamespace) {
+    const [first, ...rest] = host.split('.');
+    if (first !== serviceName) return false;
+    if (rest.length === 0) return serviceNamespace === fromNamespace;
+
+    const suffix = [serviceNamespace, 'svc', 'cluster', 'local'];
+    return rest.length <= suffix.length && rest.every((label, index) => label === suffix[index]);
+  }
+
+  addConnection(connections, source, target) {
+    if (!connections.some(conn => conn.source === source && conn.target === target)) {
+      connections.push({ id: `edge-${source}-${target}`, source, target, type: 'default' });
+    }
+  }
+
+  pickLegacyServices(doc) {
+    const entries = Object.entries(doc).filter(([, spec]) => spec && (spec.image || spec.build));
+    return entries.length > 0 ? Object.fromEntries(entries) : null;
+  }
+
+  /**
+   * Find the template for a compose service: first by image, then by hints in
+   * its name and build context for services built from source
+   */
+  matchServiceType(serviceName, spec, templates) {
+    const available = new Set(templates.map(template => template.type));
+    const repository = this.imageRepository(spec.image);
+    const build = typeof spec.build === 'string' ? spec.build : spec.build?.context || '';
+    const haystack = `${serviceName} ${repository || ''} ${build}`.toLowerCase();
+    const hint = APP_HINTS.find(([keyword, type]) => haystack.includes(keyword) && available.has(type));
+
+    // nginx images often just serve a frontend's static build rather than act as a gateway
+    const imageTemplates = templates.filter(template =>
+      !template.build && template.image && !(template.category === 'Gateway' && (spec.build || hint))
+    );
+
+    if (repository) {
+      const baseName = repository.split('/').pop();
+      const baseNameOf = template => this.imageRepository(template.image).split('/').pop();
+
+      // Only exact names: mongo-express or kafka-ui are other products, not mongo or kafka
+      const byImage = imageTemplates.find(template => this.imageRepository(template.image) === repository) ||
+        imageTemplates.find(template => baseNameOf(template) === baseName);
+      if (byImage) return byImage.type;
+
+      const alias = Object.prototype.hasOwnProperty.call(IMAGE_ALIASES, baseName) ? IMAGE_ALIASES[baseName] : null;
+      if (alias && available.has(alias)) return alias;
+
+      // Plain runtime images (node, python) run application code; the hints pick the framework
+      const runtimeHint = APP_HINTS.find(([keyword, type]) => {
+        const template = templates.find(candidate => candidate.type === type);
+        return haystack.includes(keyword) && template?.image && baseNameOf(template) === baseName;
+      });
+      if (runtimeHint && !spec.build) return runtimeHint[1];
+
+      // Images built from source fall through to the hints; anything else is skipped
+      if (!spec.build) return null;
+    }
+
+    if (hint) return hint[1];
+
+    // Something built from source with no hints at all: most likely an API
+    if (spec.build && available.has('node')) return 'node';
+
+    return null;
+  }
+
+  /**
+   * "docker.io/library/postgres:16-alpine" → "postgres"
+   */
+  imageRepository(image) {
+    if (!image || typeof image !== 'string') return null;
+
+    let repository = image.split('@')[0].toLowerCase();
+    const lastSlash = repository.lastIndexOf('/');
+    const tagIndex = repository.indexOf(':', lastSlash + 1);
+    if (tagIndex !== -1) repository = repository.slice(0, tagIndex);
+
+    return repository.replace(/^(docker\.io\/|index\.docker\.io\/)/, '').replace(/^library\//, '');
+  }
+
+  /**
+   * Container port of the first published or exposed port
+   */
+  parsePort(ports) {
+    const first = Array.isArray(ports) ? ports[0] : null;
+    if (first === null || first === undefined) return null;
+
+    if (typeof first === 'object') {
+      return Number(first.target) || null;
+    }
+
+    // "127.0.0.1:8080:80/tcp", "8080:80", "3000-3001" or 3000
+    const container = String(first).split('/')[0].split(':').pop();
+    return parseInt(container.split('-')[0], 10) || null;
+  }
+
+  parseEnvironment(environment) {
+    if (!environment) return {};
+
+    const entries = Array.isArray(environment)
+      ? environment.map(entry => {
+        const [key, ...value] = String(entry).split('=');
+        return [key, value.join('=')];
+      })
+      : Object.entries(environment);
+
+    return Object.fromEntries(
+      entries
+        .filter(([key]) => key)
+        .map(([key, value]) => [key, value === null || value === undefined ? '' : String(value)])
+    );
+  }
+
+  parseVolumes(volumes) {
+    if (!Array.isArray(volumes)) return [];
+
+    return volumes
+      .map(volume => {
+        if (typeof volume === 'string') return volume;
+        if (!volume || !volume.target) return null;
+        const mount = volume.source ? `${volume.source}:${volume.target}` : volume.target;
+        return volume.read_only ? `${mount}:ro` : mount;
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Drop mounts on the template's data path: generated projects mount the
+   * <name>-data volume there, and a second mount on it breaks the compose file
+   */
+  withoutDataMount(volumes, template, serviceName, warnings) {
+    if (!template?.dataPath) return volumes;
+
+    return volumes.filter(volume => {
+      if (builderService.parseVolume(volume).target !== template.dataPath) return true;
+      warnings.push(`Replaced the "${serviceName}" mount "${volume}" with the generated data volume`);
+      return false;
+    });
+  }
+
+  /**
+   * Names of the services a compose service depends on, including legacy links
+   */
+  parseDependencies(spec) {
+    const dependsOn = Array.isArray(spec.depends_on)
+      ? spec.depends_on
+      : Object.keys(spec.depends_on || {});
+    const links = (spec.links || []).map(link => String(link).split(':')[0]);
+
+    return [...new Set([...dependsOn, ...links])];
+  }
+
+  /**
+   * Keep the compose version and a single shared network as project settings
+   */
+  parseComposeMetadata(doc) {
+    const metadata = {};
+
+    if (doc.version && /^\d+(\.\d+)?$/.test(String(doc.version))) {
+      metadata.composeVersion = String(doc.version);
+    }
+
+    const networks = Object.keys(doc.networks || {});
+    const networkName = networks.length === 1 && String(doc.networks[networks[0]]?.name || networks[0]);
+    if (networkName && /^[a-zA-Z0-9][a-zA-Z0-9_.-]*$/.test(networkName)) {
+      metadata.networkName = networkName;
+    }
+
+    return metadata;
+  }
+
+  nameFromFile(fileName) {
+    if (!fileName) return null;
+    const base = fileName.split(/[\\/]/).pop().replace(/\.(ya?ml)$/i, '');
+    return ['docker-compose', 'compose', 'k8s', 'kubernetes', 'manifests'].includes(base.toLowerCase()) ? null : base;
+  }
+}
+
+module.exports = new ImportService();
@@ -0,0 +1,139 @@
+const templateRegistry = require('./templateRegistry');
+
+// Starting tier of each template category: gateways and frontends on top, data stores at the bottom
+const CATEGORY_TIERS = {
+  Gateway: 0,
+  Frontend: 0,
+  Backend: 1,
+  Database: 2,
+  Messaging: 2,
+  Observability: 2,
+  'Cache & Others': 2
+};
+const DEFAULT_TIER = 1;
+
+const LAYER_SPACING = 180;
+const NODE_SPACING = 250;
+const ORIGIN = { x: 100, y: 100 };
+
+/**
+ * Layout Service
+ * Layered auto-layout for blueprints: services start in their category's tier
+ * (frontend → backend → data) and are pushed below every service that connects
+ * to them, so edges point down the canvas. The canvas store on the frontend
+ * uses the same algorithm for its Auto-layout action.
+ */
+class LayoutService {
+  /**
+   * Return the services with new positions
+   */
+  layout(services, connections = []) {
+    if (services.length === 0) return services;
+
+    const ids = new Set(services.map(service => service.id));
+    const edges = connections.filter(conn => ids.has(conn.source) && ids.has(conn.target) && conn.source !== conn.target);
+    const layers = this.assignLayers(services, edges);
+    const rows = this.orderRows(services, edges, layers);
+    const widest = Math.max(...rows.map(row => row.length));
+    const positions = new Map();
+
+    rows.forEach((row, layer) => {
+      // Center narrower rows under the widest one
+      const offset = ((widest - row.length) * NODE_SPACING) / 2;
+      row.forEach((id, column) => {
+        positions.set(id, {
+          x: ORIGIN.x + offset + column * NODE_SPACING,
+          y: ORIGIN.y + layer * LAYER_SPACING
+        });
+      });
+    });
+
+    return services.map(service => ({ ...service, position: positions.get(service.id) }));
+  }
+
+  tierOf(service) {
+    const category = templateRegistry.get(service.type)?.category;
+    return category in CATEGORY_TIERS ? CATEGORY_TIERS[category] : DEFAULT_TIER;
+  }
+
+  /**
+   * Longest path from the tier each service starts in; empty layers are dropped
+   */
+  assignLayers(services, edges) {
+    const layers = new Map(services.map(service => [service.id, this.tierOf(service)]));
+    const forward = this.removeCycles(services, edges);
+
+    for (let pass = 0; pass < services.length; pass++) {
+      let changed = false;
+      for (const { source, target } of forward) {
+        if (layers.get(target) < layers.get(source) + 1) {
+          layers.set(target, layers.get(source) + 1);
+          changed = true;
+        }
+      }
+      if (!changed) break;
+    }
+
+    const used = [...new Set(layers.values())].sort((a, b) => a - b);
+    return new Map(Array.from(layers, ([id, layer]) => [id, used.indexOf(layer)]));
+  }
+
+  /**
+   * Drop the edges that close a cycle (found depth-first), so layering terminates
+   * and services that call each other stay next to one another
+   */
+  removeCycles(services, edges) {
+    const state = new Map();
+    const backEdges = new Set();
+
+    const visit = id => {
+      state.set(id, 'active');
+      for (const edge of edges.filter(e => e.source === id)) {
+        if (state.get(edge.target) === 'active') {
+          backEdges.add(edge);
+        } else if (!state.has(edge.target)) {
+          visit(edge.target);
+        }
+      }
+      state.set(id, 'done');
+    };
+
+    services.forEach(service => {
+      if (!state.has(service.id)) visit(service.id);
+    });
+
+    return edges.filter(edge => !backEdges.has(edge));
+  }
+
+  /**
+   * Order each row by the average column of the services connected above it,
+   * which keeps edges from crossing in the common cases
+   */
+  orderRows(services, edges, layers) {
+    const rows = [];
+    for (const service of services) {
+      const layer = layers.get(service.id);
+      rows[layer] = rows[layer] || [];
+      rows[layer].push(service.id);
+    }
+
+    const column = new Map();
+    rows.forEach((row, layer) => {
+      if (layer > 0) {
+        const barycenter = id => {
+          const above = edges
+            .filter(edge => edge.target === id && column.has(edge.source))
+            .map(edge => column.get(edge.source));
+          return above.length > 0 ? above.reduce((sum, value) => sum + value, 0) / above.length : Infinity;
+        };
+        const order = new Map(row.map((id, index) => [id, [barycenter(id), index]]));
+        row.sort((a, b) => order.get(a)[0] - order.get(b)[0] || order.get(a)[1] - order.get(b)[1]);
+      }
+      row.forEach((id, index) => column.set(id, index));
+    });
+
+    return rows;
+  }
+}
+
+module.exports = new LayoutService();
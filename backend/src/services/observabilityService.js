@@ -0,0 +1,202 @@
+const templateRegistry = require('./templateRegistry');
+const connectionService = require('./connectionService');
+
+// Stacks whose generated code serves Prometheus metrics at /metrics and is traced
+const INSTRUMENTED_STACKS = ['node', 'python'];
+const METRICS_PATH = '/metrics';
+const PROMETHEUS_PORT = 9090;
+// Datasource uid the provisioned dashboards refer to
+const DATASOURCE_UID = 'prometheus';
+
+// Containers Promtail collects logs from carry this label
+const LOGS_LABEL = 'logging=promtail';
+// Docker keeps the logs Promtail reads; rotate them so they do not fill the disk
+const LOGGING_DRIVER = {
+  driver: 'json-file',
+  options: { 'max-size': '10m', 'max-file': '3' }
+};
+// Generated services export traces over OTLP/HTTP to the collector, which forwards them to Jaeger
+const COLLECTOR_ENDPOINT = 'http://otel-collector:4318';
+
+/**
+ * Observability Service
+ * Wires Prometheus and Grafana nodes to the rest of the design: every backend
+ * generated by Kontrol is a scrape target, whether or not an edge is drawn to
+ * it, and Grafana gets a Prometheus datasource plus one dashboard per target.
+ * With centralized logging turned on in the project metadata, Loki and
+ * Promtail are added to the compose file to collect every container's logs;
+ * with tracing turned on, an OpenTelemetry collector and Jaeger are added.
+ */
+class ObservabilityService {
+  constructor() {
+    this.datasourceUid = DATASOURCE_UID;
+    this.logsLabel = LOGS_LABEL;
+  }
+
+  /**
+   * Compose logging settings for every service, or null with logging turned off
+   */
+  loggingDriver(metadata = {}) {
+    return metadata.logging ? LOGGING_DRIVER : null;
+  }
+
+  /**
+   * Loki and Promtail, in the shape generateDockerCompose renders services in.
+   * Promtail discovers the labelled containers through the Docker socket.
+   */
+  loggingServices(metadata = {}) {
+    if (!metadata.logging) return [];
+
+    const loki = this.stackService('loki', 'Loki', 3100, {
+      image: 'grafana/loki:2.9.8',
+      dataPath: '/loki',
+      command: ['-config.file=/etc/loki/local-config.yaml'],
+      healthcheck: ['CMD-SHELL', 'wget -q --spider http://127.0.0.1:3100/ready']
+    });
+    const promtail = this.stackService('promtail', 'Promtail', null, {
+      image: 'grafana/promtail:2.9.8',
+      command: ['-config.file=/etc/promtail/config.yml'],
+      volumes: [
+        './logging/promtail-config.yml:/etc/promtail/config.yml:ro',
+        '/var/run/docker.sock:/var/run/docker.sock:ro'
+      ]
+    });
+
+    return [loki, { ...promtail, dependsOn: [loki] }];
+  }
+
+  /**
+   * OpenTelemetry collector and Jaeger, in the shape generateDockerCompose renders services in
+   */
+  tracingServices(metadata = {}) {
+    if (!metadata.tracing) return [];
+
+    return [
+      this.stackService('otel-collector', 'OpenTelemetry Collector', null, {
+        image: 'otel/opentelemetry-collector-contrib:0.100.0',
+        command: ['--config=/etc/otelcol-contrib/config.yaml'],
+        // OTLP gRPC and HTTP, for services run outside of compose during development
+        ports: ['4317:4317', '4318:4318'],
+        volumes: ['./tracing/otel-collector-config.yml:/etc/otelcol-contrib/config.yaml:ro']
+      }),
+      this.stackService('jaeger', 'Jaeger', 16686, {
+        image: 'jaegertracing/all-in-one:1.57',
+        environment: { COLLECTOR_OTLP_ENABLED: 'true' }
+      })
+    ];
+  }
+
+  /**
+   * Where an instrumented service sends its traces, and the name it reports them under
+   */
+  tracingEnvironment(service, metadata = {}) {
+    if (!metadata.tracing || !INSTRUMENTED_STACKS.includes(templateRegistry.get(service.type)?.stack)) return {};
+
+    return {
+      OTEL_SERVICE_NAME: connectionService.hostname(service),
+      OTEL_EXPORTER_OTLP_ENDPOINT: COLLECTOR_ENDPOINT
+    };
+  }
+
+  stackService(name, label, port, { dataPath, volumes = [], ...infrastructure }) {
+    return {
+      id: name,
+      type: name,
+      label,
+      sanitizedName: name,
+      config: port ? { port } : {},
+      infrastructure: {
+        port,
+        dataPath,
+        command: null,
+        ports: [],
+        environment: {},
+        healthcheck: null,
+        ...infrastructure,
+        volumes: [...(dataPath ? [`${name}-data:${dataPath}`] : []), ...volumes]
+      },
+      dependsOn: [],
+      connectionEnvironment: {},
+      labels: []
+    };
+  }
+
+  /**
+   * Services Prometheus scrapes, with the job name used in queries
+   */
+  scrapeTargets(allServices = []) {
+    return allServices
+      .filter(service => INSTRUMENTED_STACKS.includes(templateRegistry.get(service.type)?.stack))
+      .map(service => ({
+        job: connectionService.hostname(service),
+        label: service.label || service.type,
+        type: service.type,
+        address: `${connectionService.hostname(service)}:${connectionService.containerPort(service)}`,
+        metricsPath: METRICS_PATH
+      }));
+  }
+
+  /**
+   * Prometheus Grafana queries: the one it is connected to, else the first in the design
+   */
+  prometheusUrl(grafana, connections = [], allServices = []) {
+    const connected = connectionService.linksFor(grafana, connections, allServices)
+      .find(link => link.service.type === 'prometheus');
+    if (connected) return `http://${connected.host}:${connected.port}`;
+
+    const prometheus = allServices.find(service => service.type === 'prometheus');
+    return `http://${prometheus ? connectionService.hostname(prometheus) : 'prometheus'}:${PROMETHEUS_PORT}`;
+  }
+
+  /**
+   * Starter Grafana dashboard for a scrape target: traffic, errors, latency
+   * and memory from the metrics the node and python templates expose
+   */
+  dashboard(target) {
+    const datasource = { type: 'prometheus', uid: DATASOURCE_UID };
+    const job = `job="${target.job}"`;
+    const panel = (id, title, unit, expr, legendFormat, gridPos) => ({
+      id,
+      title,
+      type: 'timeseries',
+      datasource,
+      gridPos,
+      fieldConfig: { defaults: { unit }, overrides: [] },
+      targets: [{ refId: 'A', datasource, expr, legendFormat }]
+    });
+
+    return {
+      uid: `kontrol-${target.job}`.slice(0, 40),
+      title: `${target.label} (${target.type})`,
+      tags: ['kontrol', target.job],
+      timezone: 'browser',
+      schemaVersion: 39,
+      refresh: '10s',
+      time: { from: 'now-1h', to: 'now' },
+      panels: [
+        {
+          id: 1,
+          title: 'Up',
+          type: 'stat',
+          datasource,
+          gridPos: { x: 0, y: 0, w: 6, h: 8 },
+          targets: [{ refId: 'A', datasource, expr: `up{${job}}` }]
+        },
+        panel(2, 'Requests per second', 'reqps',
+          `sum by (route) (rate(http_request_duration_seconds_count{${job}}[1m]))`, '{{route}}',
+          { x: 6, y: 0, w: 18, h: 8 }),
+        panel(3, 'Error rate (5xx)', 'percentunit',
+          `sum(rate(http_request_duration_seconds_count{${job},status=~"5.."}[5m])) / sum(rate(http_request_duration_seconds_count{${job}}[5m]))`, 'errors',
+          { x: 0, y: 8, w: 12, h: 8 }),
+        panel(4, 'Latency p95', 's',
+          `histogram_quantile(0.95, sum by (le, route) (rate(http_request_duration_seconds_bucket{${job}}[5m])))`, '{{route}}',
+          { x: 12, y: 8, w: 12, h: 8 }),
+        panel(5, 'Memory', 'bytes',
+          `process_resident_memory_bytes{${job}}`, 'resident',
+          { x: 0, y: 16, w: 24, h: 8 })
+      ]
+    };
+  }
+}
+
+module.exports = new ObservabilityService();
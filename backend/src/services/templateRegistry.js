@@ -0,0 +1,228 @@
+const fs = require('fs');
+const path = require('path');
+
+const MANIFEST_FILE = 'template.json';
+const CATEGORY_ORDER = ['Frontend', 'Backend', 'Database', 'Messaging', 'Gateway', 'Observability', 'Cache & Others', 'Custom'];
+
+/**
+ * Template Registry
+ * Discovers service templates on disk. Every directory under src/templates that
+ * carries a template.json manifest becomes a service type. Uploaded packs live
+ * under custom-templates/<ownerId>/<type>, where the owner is a user or an
+ * organization, and are only offered to that user or the organization's members.
+ */
+class TemplateRegistry {
+  constructor() {
+    this.templatesDir = path.join(__dirname, '../templates');
+    this.customTemplatesDir = path.join(__dirname, '../../custom-templates');
+    this.templates = new Map();
+    this.loaded = false;
+  }
+
+  /**
+   * Scan the templates directory and (re)build the registry
+   */
+  load() {
+    this.templates.clear();
+
+    for (const templateDir of this.findTemplateDirs(this.templatesDir)) {
+      this.loadTemplate(templateDir);
+    }
+
+    // Packs uploaded earlier stay unused while the feature is switched off
+    if (process.env.CUSTOM_TEMPLATES_ENABLED === 'true' && fs.existsSync(this.customTemplatesDir)) {
+      const owners = fs.readdirSync(this.customTemplatesDir, { withFileTypes: true });
+
+      for (const owner of owners.filter(entry => entry.isDirectory())) {
+        const ownerDir = path.join(this.customTemplatesDir, owner.name);
+
+        for (const templateDir of this.findTemplateDirs(ownerDir)) {
+          this.loadTemplate(templateDir, owner.name);
+        }
+      }
+    }
+
+    this.loaded = true;
+    return this.list();
+  }
+
+  /**
+   * List subdirectories that carry a manifest
+   */
+  findTemplateDirs(parentDir) {
+    return fs.readdirSync(parentDir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .map(entry => path.join(parentDir, entry.name))
+      .filter(templateDir => fs.existsSync(path.join(templateDir, MANIFEST_FILE)));
+  }
+
+  /**
+   * Read one template directory into the registry
+   */
+  loadTemplate(templateDir, owner = null) {
+    try {
+      const manifest = this.readManifest(templateDir, owner);
+      this.register(manifest, templateDir, owner);
+    } catch (error) {
+      console.warn(`⚠️  Skipping template ${path.basename(templateDir)}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read and validate the manifest of a template directory
+   */
+  readManifest(templateDir, owner = null) {
+    return this.normalizeManifest(
+      JSON.parse(fs.readFileSync(path.join(templateDir, MANIFEST_FILE), 'utf8')),
+      path.basename(templateDir),
+      owner
+    );
+  }
+
+  /**
+   * Add a template to the registry
+   */
+  register(manifest, templateDir, owner = null) {
+    const existing = this.templates.get(manifest.type);
+    if (existing && existing.templateDir !== templateDir) {
+      throw new Error(`Template type "${manifest.type}" is already registered`);
+    }
+
+    const template = {
+      ...manifest,
+      templateDir,
+      owner: owner ? String(owner) : null,
+      custom: Boolean(owner)
+    };
+
+    this.templates.set(template.type, template);
+    return template;
+  }
+
+  /**
+   * Remove a template from the registry
+   */
+  unregister(type) {
+    this.templates.delete(type);
+  }
+
+  /**
+   * Validate a manifest and fill in optional fields
+   */
+  normalizeManifest(manifest, directoryName, owner = null) {
+    const type = manifest.type || directoryName;
+
+    if (!/^[a-z0-9][a-z0-9-]*$/.test(type)) {
+      throw new Error(`Invalid template type "${type}"`);
+    }
+    if (!manifest.name) {
+      throw new Error('Manifest is missing "name"');
+    }
+
+    return {
+      type,
+      name: manifest.name,
+      category: manifest.category || (owner ? 'Custom' : 'Cache & Others'),
+      order: manifest.order || 0,
+      icon: manifest.icon || '📦',
+      color: manifest.color || 'gray',
+      defaultPort: Number(manifest.defaultPort) || 8080,
+      image: manifest.image || null,
+      build: manifest.build !== false,
+      stack: manifest.stack || null,
+      dataPath: manifest.dataPath || null,
+      env: Array.isArray(manifest.env) ? manifest.env : [],
+      healthCheck: manifest.healthCheck || { interval: 30, timeout: 10 },
+      resources: manifest.resources || { cpus: '0.5', memory: '512M' },
+      compose: manifest.compose || {}
+    };
+  }
+
+  ensureLoaded() {
+    if (!this.loaded) {
+      this.load();
+    }
+  }
+
+  /**
+   * Directory that holds one owner's uploaded templates
+   */
+  getOwnerDir(ownerId) {
+    return path.join(this.customTemplatesDir, String(ownerId));
+  }
+
+  /**
+   * Get a template manifest by service type
+   */
+  get(type) {
+    this.ensureLoaded();
+    return this.templates.get(type) || null;
+  }
+
+  has(type) {
+    return Boolean(this.get(type));
+  }
+
+  /**
+   * Check whether a template may be used by any of the given owners (a user id
+   * and their organization ids): built-ins are shared, uploads are private
+   */
+  isAvailableTo(type, ownerIds) {
+    const template = this.get(type);
+    const owners = [].concat(ownerIds || []).map(String);
+    return Boolean(template) && (!template.custom || owners.includes(template.owner));
+  }
+
+  /**
+   * List all template manifests
+   */
+  list() {
+    this.ensureLoaded();
+    return Array.from(this.templates.values());
+  }
+
+  /**
+   * List templates the given owners may use, or only built-ins when none are given
+   */
+  listFor(ownerIds = []) {
+    return this.list().filter(template => this.isAvailableTo(template.type, ownerIds));
+  }
+
+  /**
+   * Group templates by category, in palette order
+   */
+  getCategories(ownerIds = []) {
+    const categories = new Map();
+
+    for (const template of this.listFor(ownerIds)) {
+      if (!categories.has(template.category)) {
+        categories.set(template.category, []);
+      }
+      categories.get(template.category).push(template);
+    }
+
+    const rank = category => {
+      const index = CATEGORY_ORDER.indexOf(category);
+      return index === -1 ? CATEGORY_ORDER.length : index;
+    };
+
+    return Array.from(categories.entries())
+      .sort(([a], [b]) => rank(a) - rank(b) || a.localeCompare(b))
+      .map(([category, templates]) => ({
+        category,
+        services: templates
+          .sort((a, b) => a.order - b.order || a.name.localeCompare(b.name))
+          .map(template => this.toPublic(template))
+      }));
+  }
+
+  /**
+   * Strip server-only fields before sending a manifest to clients
+   */
+  toPublic(template) {
+    const { templateDir, compose, owner, ...manifest } = template;
+    return manifest;
+  }
+}
+
+module.exports = new TemplateRegistry();
@@ -0,0 +1,121 @@
+const ProjectVersion = require('../models/ProjectVersion');
+
+const SNAPSHOT_FIELDS = ['name', 'description', 'services', 'connections', 'metadata', 'tags'];
+
+/**
+ * Version Service
+ * Snapshots every project save so designs can be compared and rolled back
+ */
+class VersionService {
+  /**
+   * Store the current state of a project as its next version
+   */
+  async snapshot(project, authorId, message, attempt = 1) {
+    const latest = await ProjectVersion.findOne({ project: project._id })
+      .sort({ version: -1 })
+      .select('version');
+
+    try {
+      return await ProjectVersion.create({
+        project: project._id,
+        version: latest ? latest.version + 1 : 1,
+        author: authorId,
+        message: message || (latest ? 'Saved changes' : 'Created project'),
+        snapshot: this.toSnapshot(project)
+      });
+    } catch (error) {
+      // Two saves raced for the same version number; take the next one
+      if (error.code === 11000 && attempt < 3) {
+        return this.snapshot(project, authorId, message, attempt + 1);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Plain copy of the versioned project fields
+   */
+  toSnapshot(project) {
+    const source = typeof project.toObject === 'function' ? project.toObject() : project;
+
+    return SNAPSHOT_FIELDS.reduce((snapshot, field) => {
+      snapshot[field] = source[field] === undefined ? null : JSON.parse(JSON.stringify(source[field]));
+      return snapshot;
+    }, {});
+  }
+
+  async list(projectId) {
+    return ProjectVersion.find({ project: projectId })
+      .sort({ version: -1 })
+      .select('-snapshot')
+      .populate('author', 'username email');
+  }
+
+  async get(projectId, version) {
+    return ProjectVersion.findOne({ project: projectId, version })
+      .populate('author', 'username email');
+  }
+
+  async removeForProject(projectId) {
+    await ProjectVersion.deleteMany({ project: projectId });
+  }
+
+  /**
+   * Structural diff of two snapshots: services and connections are matched by id
+   */
+  diff(from, to) {
+    const services = this.diffById(from.services || [], to.services || []);
+    const connections = this.diffById(from.connections || [], to.connections || []);
+
+    const fields = ['name', 'description', 'metadata', 'tags']
+      .filter(field => !this.isEqual(from[field], to[field]))
+      .map(field => ({ field, from: from[field], to: to[field] }));
+
+    return { fields, services, connections };
+  }
+
+  diffById(fromItems, toItems) {
+    const before = new Map(fromItems.map(item => [item.id, item]));
+    const after = new Map(toItems.map(item => [item.id, item]));
+
+    const added = toItems.filter(item => !before.has(item.id));
+    const removed = fromItems.filter(item => !after.has(item.id));
+    const modified = toItems
+      .filter(item => before.has(item.id) && !this.isEqual(before.get(item.id), item))
+      .map(item => {
+        const previous = before.get(item.id);
+        const keys = [...new Set([...Object.keys(previous), ...Object.keys(item)])];
+
+        return {
+          id: item.id,
+          changes: keys
+            .filter(key => !this.isEqual(previous[key], item[key]))
+            .map(key => ({ field: key, from: previous[key], to: item[key] }))
+        };
+      });
+
+    return { added, removed, modified };
+  }
+
+  isEqual(a, b) {
+    return JSON.stringify(this.sortKeys(a)) === JSON.stringify(this.sortKeys(b));
+  }
+
+  /**
+   * Key order must not count as a change, e.g. after a Mongo round trip
+   */
+  sortKeys(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.sortKeys(item));
+    }
+    if (value && typeof value === 'object') {
+      return Object.keys(value).sort().reduce((sorted, key) => {
+        sorted[key] = this.sortKeys(value[key]);
+        return sorted;
+      }, {});
+    }
+    return value === undefined ? null : value;
+  }
+}
+
+module.exports = new VersionService();
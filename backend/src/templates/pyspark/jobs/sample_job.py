@@ -0,0 +1,19 @@
+from pyspark.sql import functions as F
+
+
+def run_sample_job(spark):
+    """Word count over a small in-memory dataset. Replace with your own pipeline."""
+    lines = spark.createDataFrame(
+        [('spark makes big data simple',), ('kontrol makes microservices simple',)],
+        ['line'],
+    )
+
+    counts = (
+        lines
+        .select(F.explode(F.split(F.col('line'), r'\s+')).alias('word'))
+        .groupBy('word')
+        .count()
+        .orderBy(F.desc('count'), 'word')
+    )
+
+    return [row.asDict() for row in counts.collect()]
@@ -5,6 +5,7 @@ import Login from './pages/Login';
 import Register from './pages/Register';
 import Dashboard from './pages/Dashboard';
 import Canvas from './pages/Canvas';
+import Gallery from './pages/Gallery';
 import Navbar from './components/Navbar';
 
 function App() {
@@ -19,6 +20,7 @@ function App() {
           <Route path="/register" element={!isAuthenticated ? <Register /> : <Navigate to="/dashboard" />} />
           <Route path="/dashboard" element={isAuthenticated ? <Dashboard /> : <Navigate to="/login" />} />
           <Route path="/canvas/:id?" element={isAuthenticated ? <Canvas /> : <Navigate to="/login" />} />
+          <Route path="/gallery" element={<Gallery />} />
           <Route path="/" element={<Navigate to={isAuthenticated ? "/dashboard" : "/login"} />} />
         </Routes>
       </div>
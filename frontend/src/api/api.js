@@ -49,12 +49,66 @@ export const projectsAPI = {
   create: (data) => api.post('/api/projects', data),
   update: (id, data) => api.put(`/api/projects/${id}`, data),
   delete: (id) => api.delete(`/api/projects/${id}`),
+  move: (id, organization) => api.put(`/api/projects/${id}/organization`, { organization }),
+  getVersions: (id) => api.get(`/api/projects/${id}/versions`),
+  getVersion: (id, version) => api.get(`/api/projects/${id}/versions/${version}`),
+  diffVersions: (id, from, to) => api.get(`/api/projects/${id}/versions/diff`, { params: { from, to } }),
+  restoreVersion: (id, version) => api.post(`/api/projects/${id}/versions/${version}/restore`),
+  getCollaborators: (id) => api.get(`/api/projects/${id}/collaborators`),
+  addCollaborator: (id, data) => api.post(`/api/projects/${id}/collaborators`, data),
+  updateCollaborator: (id, userId, role) => api.put(`/api/projects/${id}/collaborators/${userId}`, { role }),
+  removeCollaborator: (id, userId) => api.delete(`/api/projects/${id}/collaborators/${userId}`),
 };
 
 
 export const generateAPI = {
   generate: (data) => api.post('/api/generate', data, { responseType: 'blob' }),
+  preview: (data) => api.post('/api/generate/preview', data),
   getSupportedServices: () => api.get('/api/generate/supported-services'),
 };
 
+
+export const templatesAPI = {
+  getAll: () => api.get('/api/templates'),
+  upload: (file, organizationId) => {
+    const formData = new FormData();
+    formData.append('template', file);
+    return api.post('/api/templates', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+      params: organizationId ? { organization: organizationId } : {},
+    });
+  },
+  delete: (type) => api.delete(`/api/templates/${type}`),
+};
+
+export const organizationsAPI = {
+  getAll: () => api.get('/api/organizations'),
+  getById: (id) => api.get(`/api/organizations/${id}`),
+  create: (data) => api.post('/api/organizations', data),
+  update: (id, data) => api.put(`/api/organizations/${id}`, data),
+  delete: (id) => api.delete(`/api/organizations/${id}`),
+  addMember: (id, data) => api.post(`/api/organizations/${id}/members`, data),
+  updateMember: (id, userId, role) => api.put(`/api/organizations/${id}/members/${userId}`, { role }),
+  removeMember: (id, userId) => api.delete(`/api/organizations/${id}/members/${userId}`),
+};
+
+export const galleryAPI = {
+  getAll: (params) => api.get('/api/gallery', { params }),
+  getTags: () => api.get('/api/gallery/tags'),
+  getById: (id) => api.get(`/api/gallery/${id}`),
+  fork: (id, data) => api.post(`/api/gallery/${id}/fork`, data),
+};
+export const importAPI = {
+  compose: (data) => api.post('/api/import/compose', data),
+  kubernetes: (data) => api.post('/api/import/kubernetes', data),
+};
+export const blueprintsAPI = {
+  export: (data) => api.post('/api/blueprints/export', data, { responseType: 'blob' }),
+  import: (data) => api.post('/api/blueprints/import', data),
+};
+
+// WebSockets are served by the same backend as the REST API
+export const getWebSocketUrl = (path, params) =>
+  `${API_URL.replace(/^http/, 'ws')}${path}?${new URLSearchParams(params).toString()}`;
+
 export default api;
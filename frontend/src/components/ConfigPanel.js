@@ -1,8 +1,12 @@
 import React, { useState } from 'react';
 import { useCanvasStore } from '../store/canvasStore';
+import { useTemplateStore } from '../store/templateStore';
+import ConnectionConfig from './ConnectionConfig';
 
 const ConfigPanel = () => {
-  const { selectedNode, updateNodeConfig, updateNodeLabel, removeNode } = useCanvasStore();
+  const { selectedNode, selectedEdgeId, edges, updateNodeConfig, updateNodeLabel, removeNode } = useCanvasStore();
+  const selectedEdge = edges.find((edge) => edge.id === selectedEdgeId);
+  const template = useTemplateStore((state) => state.templates[selectedNode?.data.type]);
   const [label, setLabel] = useState(selectedNode?.data.label || '');
   const [port, setPort] = useState(selectedNode?.data.config.port || '');
   const [envVars, setEnvVars] = useState(
@@ -23,12 +27,16 @@ const ConfigPanel = () => {
     }
   }, [selectedNode]);
 
+  if (selectedEdge) {
+    return <ConnectionConfig edge={selectedEdge} />;
+  }
+
   if (!selectedNode) {
     return (
       <div className="w-80 bg-white border-l border-gray-200 p-6">
         <div className="text-center text-gray-400 mt-20">
           <div className="text-4xl mb-2">⚙️</div>
-          <p className="text-sm">Select a service to configure</p>
+          <p className="text-sm">Select a service or connection to configure</p>
         </div>
       </div>
     );
@@ -107,7 +115,7 @@ const ConfigPanel = () => {
           </div>
         </div>
 
-        {!['mongodb', 'postgresql', 'mysql', 'redis'].includes(selectedNode.data.type) && (
+        {template?.build !== false && (
           <div className="mb-4">
             <label className="block text-sm font-medium text-gray-700 mb-2">
               Port
@@ -143,6 +151,7 @@ const ConfigPanel = () => {
                   value={env.key}
                   onChange={(e) => handleEnvChange(index, 'key', e.target.value)}
                   placeholder="KEY"
+                  list="env-suggestions"
                   className="flex-1 px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-blue-500"
                 />
                 <input
@@ -165,6 +174,14 @@ const ConfigPanel = () => {
           {envVars.length === 0 && (
             <p className="text-xs text-gray-400 mt-2">No environment variables</p>
           )}
+
+          <datalist id="env-suggestions">
+            {(template?.env || []).map((variable) => (
+              <option key={variable.name} value={variable.name}>
+                {variable.description}
+              </option>
+            ))}
+          </datalist>
         </div>
 
         <button
@@ -0,0 +1,77 @@
+import React from 'react';
+import { useCanvasStore, CONNECTION_TYPES, inferConnectionType, serves } from '../store/canvasStore';
+import { getTemplate } from '../store/templateStore';
+
+// Where each connection type ends up in the generated code
+const TYPE_HINTS = {
+  rest: 'HTTP client in clients/ and a <TARGET>_URL variable',
+  grpc: 'gRPC client in clients/ and a server stub in rpc/ of the target, on port 50051',
+  database: 'Database driver and credentials of the target',
+  cache: 'Cache client and connection URL',
+  queue: 'Producer/consumer boilerplate in clients/ and the broker address',
+  websocket: 'Reconnecting WebSocket client in clients/ and a server in realtime/ of the target, on port 8765',
+};
+
+const ConnectionConfig = ({ edge }) => {
+  const { nodes, updateEdgeType, removeEdge } = useCanvasStore();
+  const source = nodes.find((node) => node.id === edge.source);
+  const target = nodes.find((node) => node.id === edge.target);
+  // The generator treats gRPC and WebSocket links to targets it has no server for as Auto
+  const connectionType = serves(target?.data.type, edge.data?.connectionType)
+    ? edge.data?.connectionType || 'default'
+    : 'default';
+  const resolvedType = connectionType === 'default' ? inferConnectionType(target?.data.type) : connectionType;
+  const viaGateway = getTemplate(source?.data.type)?.category === 'Gateway';
+
+  const handleDelete = () => {
+    if (window.confirm(`Delete the connection from ${source?.data.label} to ${target?.data.label}?`)) {
+      removeEdge(edge.id);
+    }
+  };
+
+  return (
+    <div className="w-80 bg-white border-l border-gray-200 p-6 overflow-y-auto">
+      <div className="mb-6">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-bold text-gray-800">Connection</h2>
+          <span className="text-3xl">🔗</span>
+        </div>
+
+        <div className="mb-4 px-3 py-2 bg-gray-100 border border-gray-300 rounded-md text-sm text-gray-600">
+          {source?.data.icon} {source?.data.label} → {target?.data.icon} {target?.data.label}
+        </div>
+
+        <div className="mb-4">
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Connection Type
+          </label>
+          <select
+            value={connectionType}
+            onChange={(e) => updateEdgeType(edge.id, e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            {Object.entries(CONNECTION_TYPES).filter(([value]) => serves(target?.data.type, value)).map(([value, label]) => (
+              <option key={value} value={value}>
+                {value === 'default' ? `${label} (${CONNECTION_TYPES[resolvedType]})` : label}
+              </option>
+            ))}
+          </select>
+          <p className="text-xs text-gray-400 mt-2">
+            {viaGateway
+              ? 'Routed by the gateway: /api/<name> for backends, / for the first frontend'
+              : TYPE_HINTS[resolvedType]}
+          </p>
+        </div>
+
+        <button
+          onClick={handleDelete}
+          className="w-full bg-red-500 hover:bg-red-600 text-white px-4 py-2 rounded-md font-medium transition mt-6"
+        >
+          Delete Connection
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ConnectionConfig;
@@ -0,0 +1,167 @@
+import React, { useEffect, useState } from 'react';
+import { projectsAPI } from '../api/api';
+
+const formatDate = (value) => new Date(value).toLocaleString();
+
+const countChanges = (diff) => diff.added.length + diff.removed.length + diff.modified.length;
+
+const isEmptyDiff = (diff) =>
+  diff.fields.length + countChanges(diff.services) + countChanges(diff.connections) === 0;
+
+const DiffSection = ({ title, diff, describe }) => {
+  if (countChanges(diff) === 0) return null;
+
+  return (
+    <div className="mb-2">
+      <p className="font-semibold text-gray-700">{title}</p>
+      {diff.added.map((item) => (
+        <p key={`added-${item.id}`} className="text-green-700">+ {describe(item)}</p>
+      ))}
+      {diff.removed.map((item) => (
+        <p key={`removed-${item.id}`} className="text-red-700">- {describe(item)}</p>
+      ))}
+      {diff.modified.map((item) => (
+        <p key={`modified-${item.id}`} className="text-yellow-700">
+          ~ {item.id}: {item.changes.map((change) => change.field).join(', ')}
+        </p>
+      ))}
+    </div>
+  );
+};
+
+const HistoryDrawer = ({ projectId, onClose, onRestored }) => {
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [expanded, setExpanded] = useState(null);
+  const [diff, setDiff] = useState(null);
+  const [restoring, setRestoring] = useState(null);
+
+  useEffect(() => {
+    const fetchVersions = async () => {
+      try {
+        const response = await projectsAPI.getVersions(projectId);
+        setVersions(response.data.versions);
+      } catch (error) {
+        console.error('Failed to load versions:', error);
+        alert('Failed to load version history');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchVersions();
+  }, [projectId]);
+
+  const latestVersion = versions[0]?.version;
+
+  const handleToggle = async (version) => {
+    if (expanded === version) {
+      setExpanded(null);
+      return;
+    }
+
+    setExpanded(version);
+    setDiff(null);
+
+    if (version === latestVersion) return;
+
+    try {
+      const response = await projectsAPI.diffVersions(projectId, version, latestVersion);
+      setDiff(response.data.diff);
+    } catch (error) {
+      console.error('Failed to compare versions:', error);
+    }
+  };
+
+  const handleRestore = async (version) => {
+    if (!window.confirm(`Restore version ${version}? Your current design stays in the history.`)) {
+      return;
+    }
+
+    setRestoring(version);
+
+    try {
+      const response = await projectsAPI.restoreVersion(projectId, version);
+      onRestored(response.data.project);
+    } catch (error) {
+      console.error('Restore error:', error);
+      alert('Failed to restore version');
+    } finally {
+      setRestoring(null);
+    }
+  };
+
+  return (
+    <div className="fixed inset-y-0 right-0 w-96 bg-white border-l border-gray-200 shadow-xl z-40 flex flex-col">
+      <div className="px-4 py-3 border-b border-gray-200 flex items-center justify-between">
+        <h2 className="text-lg font-bold text-gray-800">Version History</h2>
+        <button onClick={onClose} className="text-gray-400 hover:text-gray-600 text-xl">
+          ×
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-4 space-y-2">
+        {loading && <p className="text-sm text-gray-400">Loading history...</p>}
+
+        {!loading && versions.length === 0 && (
+          <p className="text-sm text-gray-400">No saved versions yet</p>
+        )}
+
+        {versions.map((version) => (
+          <div key={version.version} className="border border-gray-200 rounded-lg">
+            <button
+              onClick={() => handleToggle(version.version)}
+              className="w-full text-left px-3 py-2 hover:bg-gray-50"
+            >
+              <div className="flex items-center justify-between">
+                <span className="text-sm font-medium text-gray-800">
+                  v{version.version} {version.version === latestVersion && '(current)'}
+                </span>
+                <span className="text-xs text-gray-400">{formatDate(version.createdAt)}</span>
+              </div>
+              <p className="text-sm text-gray-600 truncate">{version.message}</p>
+              <p className="text-xs text-gray-400">by {version.author?.username || 'unknown'}</p>
+            </button>
+
+            {expanded === version.version && version.version !== latestVersion && (
+              <div className="px-3 pb-3 text-xs border-t border-gray-100 pt-2">
+                <p className="text-gray-500 mb-2">Changes since this version:</p>
+                {diff && isEmptyDiff(diff) && (
+                  <p className="text-gray-400">No differences</p>
+                )}
+                {diff ? (
+                  <>
+                    {diff.fields.map((change) => (
+                      <p key={change.field} className="text-yellow-700">~ {change.field}</p>
+                    ))}
+                    <DiffSection
+                      title="Services"
+                      diff={diff.services}
+                      describe={(service) => `${service.label} (${service.type})`}
+                    />
+                    <DiffSection
+                      title="Connections"
+                      diff={diff.connections}
+                      describe={(connection) => `${connection.source} → ${connection.target}`}
+                    />
+                  </>
+                ) : (
+                  <p className="text-gray-400">Comparing...</p>
+                )}
+                <button
+                  onClick={() => handleRestore(version.version)}
+                  disabled={restoring !== null}
+                  className="mt-2 px-3 py-1 bg-blue-600 hover:bg-blue-700 text-white rounded-md transition disabled:opacity-50"
+                >
+                  {restoring === version.version ? 'Restoring...' : '↩️ Restore this version'}
+                </button>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default HistoryDrawer;
@@ -33,6 +33,12 @@ const Navbar = () => {
                 >
                   New Project
                 </Link>
+                <Link
+                  to="/gallery"
+                  className="text-gray-700 hover:text-blue-600 px-3 py-2 rounded-md text-sm font-medium transition"
+                >
+                  Gallery
+                </Link>
                 <div className="flex items-center space-x-3">
                   <span className="text-sm text-gray-600">
                     👤 {user?.username}
@@ -47,6 +53,12 @@ const Navbar = () => {
               </>
             ) : (
               <>
+                <Link
+                  to="/gallery"
+                  className="text-gray-700 hover:text-blue-600 px-3 py-2 rounded-md text-sm font-medium transition"
+                >
+                  Gallery
+                </Link>
                 <Link
                   to="/login"
                   className="text-gray-700 hover:text-blue-600 px-3 py-2 rounded-md text-sm font-medium transition"
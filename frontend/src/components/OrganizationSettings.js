@@ -0,0 +1,225 @@
+import React, { useEffect, useState } from 'react';
+import { organizationsAPI } from '../api/api';
+import { useAuthStore } from '../store/authStore';
+
+const SETTING_FIELDS = [
+  { key: 'networkName', label: 'Default network name', placeholder: 'app-network' },
+  { key: 'composeVersion', label: 'Compose version', placeholder: '3.8' },
+  { key: 'registryPrefix', label: 'Registry prefix', placeholder: 'ghcr.io/my-team' },
+];
+
+const OrganizationSettings = ({ organizationId, onClose, onChanged, onRemoved }) => {
+  const { user } = useAuthStore();
+  const [organization, setOrganization] = useState(null);
+  const [name, setName] = useState('');
+  const [settings, setSettings] = useState({});
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const applyOrganization = (org) => {
+    setOrganization(org);
+    setName(org.name);
+    setSettings(org.settings || {});
+  };
+
+  useEffect(() => {
+    organizationsAPI
+      .getById(organizationId)
+      .then((response) => applyOrganization(response.data.organization))
+      .catch((err) => {
+        console.error('Failed to load organization:', err);
+        setError('Failed to load organization');
+      });
+  }, [organizationId]);
+
+  const run = async (request) => {
+    setBusy(true);
+    setError('');
+
+    try {
+      const response = await request();
+      if (response.data.organization) applyOrganization(response.data.organization);
+      onChanged();
+      return true;
+    } catch (err) {
+      setError(err.response?.data?.error || err.response?.data?.errors?.[0]?.msg || 'Request failed');
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSave = (event) => {
+    event.preventDefault();
+    run(() => organizationsAPI.update(organizationId, { name, settings }));
+  };
+
+  const handleAddMember = async (event) => {
+    event.preventDefault();
+    if (!email.trim()) return;
+
+    const added = await run(() => organizationsAPI.addMember(organizationId, { email, role: 'member' }));
+    if (added) setEmail('');
+  };
+
+  const handleRemoveMember = async (member) => {
+    const leaving = member.user._id === user?.id;
+    if (leaving && !window.confirm(`Leave "${organization.name}"? You will lose access to its projects.`)) return;
+
+    const removed = await run(() => organizationsAPI.removeMember(organizationId, member.user._id));
+    if (removed && leaving) onRemoved();
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete the organization "${organization.name}"?`)) return;
+
+    setBusy(true);
+    try {
+      await organizationsAPI.delete(organizationId);
+      onRemoved();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete organization');
+      setBusy(false);
+    }
+  };
+
+  const role = organization?.role;
+  const isAdmin = role === 'admin' || role === 'owner';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-6">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-xl max-h-full overflow-y-auto">
+        <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+          <h2 className="text-lg font-bold text-gray-800">Organization Settings</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600 text-xl">
+            ×
+          </button>
+        </div>
+
+        {!organization ? (
+          <p className="p-6 text-sm text-gray-400">{error || 'Loading...'}</p>
+        ) : (
+          <div className="p-6 space-y-6">
+            {error && (
+              <div className="bg-red-50 border border-red-300 text-red-700 text-sm px-3 py-2 rounded">
+                {error}
+              </div>
+            )}
+
+            <form onSubmit={handleSave} className="space-y-3">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+                <input
+                  type="text"
+                  value={name}
+                  disabled={!isAdmin}
+                  onChange={(e) => setName(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+              <p className="text-xs text-gray-500">
+                Projects in this workspace inherit these defaults unless they set their own.
+              </p>
+              {SETTING_FIELDS.map(({ key, label, placeholder }) => (
+                <div key={key}>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+                  <input
+                    type="text"
+                    value={settings[key] || ''}
+                    disabled={!isAdmin}
+                    placeholder={placeholder}
+                    onChange={(e) => setSettings({ ...settings, [key]: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm font-mono focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+              ))}
+              {isAdmin && (
+                <button
+                  type="submit"
+                  disabled={busy}
+                  className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-md text-sm font-medium transition disabled:opacity-50"
+                >
+                  Save settings
+                </button>
+              )}
+            </form>
+
+            <div>
+              <h3 className="font-semibold text-gray-800 mb-2">Members</h3>
+              {isAdmin && (
+                <form onSubmit={handleAddMember} className="flex space-x-2 mb-3">
+                  <input
+                    type="email"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    placeholder="teammate@example.com"
+                    className="flex-1 px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                  <button
+                    type="submit"
+                    disabled={busy}
+                    className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-md text-sm font-medium transition disabled:opacity-50"
+                  >
+                    Add
+                  </button>
+                </form>
+              )}
+              <ul className="divide-y divide-gray-100">
+                {organization.members.map((member) => (
+                  <li key={member.user._id} className="py-2 flex items-center justify-between">
+                    <div>
+                      <p className="text-sm font-medium text-gray-800">{member.user.username}</p>
+                      <p className="text-xs text-gray-500">{member.user.email}</p>
+                    </div>
+                    <div className="flex items-center space-x-2">
+                      {role === 'owner' && member.role !== 'owner' ? (
+                        <select
+                          value={member.role}
+                          disabled={busy}
+                          onChange={(e) =>
+                            run(() => organizationsAPI.updateMember(organizationId, member.user._id, e.target.value))
+                          }
+                          className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+                        >
+                          <option value="member">member</option>
+                          <option value="admin">admin</option>
+                        </select>
+                      ) : (
+                        <span className="text-sm text-gray-500">{member.role}</span>
+                      )}
+                      {member.role !== 'owner' && (isAdmin || member.user._id === user?.id) && (
+                        <button
+                          onClick={() => handleRemoveMember(member)}
+                          disabled={busy}
+                          className="text-gray-400 hover:text-red-600"
+                          title={member.user._id === user?.id ? 'Leave organization' : 'Remove member'}
+                        >
+                          ×
+                        </button>
+                      )}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            </div>
+
+            {role === 'owner' && (
+              <div className="border-t border-gray-200 pt-4">
+                <button
+                  onClick={handleDelete}
+                  disabled={busy}
+                  className="px-4 py-2 border border-red-300 text-red-600 hover:bg-red-50 rounded-md text-sm font-medium transition disabled:opacity-50"
+                >
+                  Delete organization
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default OrganizationSettings;
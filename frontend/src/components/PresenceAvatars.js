@@ -0,0 +1,29 @@
+import React from 'react';
+import { useCollaborationStore } from '../store/collaborationStore';
+
+const PresenceAvatars = () => {
+  const { peers, clientId, connected, projectId } = useCollaborationStore();
+
+  if (!projectId) return null;
+
+  if (!connected) {
+    return <span className="text-xs text-gray-400">Offline, changes sync when reconnected</span>;
+  }
+
+  return (
+    <div className="flex items-center -space-x-2">
+      {peers.map((peer) => (
+        <div
+          key={peer.clientId}
+          title={peer.clientId === clientId ? `${peer.username} (you)` : peer.username}
+          className="w-7 h-7 rounded-full border-2 border-white flex items-center justify-center text-xs font-bold text-white"
+          style={{ backgroundColor: peer.color }}
+        >
+          {peer.username.charAt(0).toUpperCase()}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default PresenceAvatars;
@@ -0,0 +1,37 @@
+import React from 'react';
+import { useViewport } from 'reactflow';
+import { useCollaborationStore } from '../store/collaborationStore';
+
+// Rendered inside <ReactFlow> so cursors follow the canvas pan and zoom
+const PresenceCursors = () => {
+  const { x, y, zoom } = useViewport();
+  const { peers, clientId } = useCollaborationStore();
+
+  return (
+    <div className="absolute inset-0 pointer-events-none z-10 overflow-hidden">
+      {peers
+        .filter((peer) => peer.clientId !== clientId && peer.cursor)
+        .map((peer) => (
+          <div
+            key={peer.clientId}
+            className="absolute transition-transform duration-75"
+            style={{
+              transform: `translate(${peer.cursor.x * zoom + x}px, ${peer.cursor.y * zoom + y}px)`,
+            }}
+          >
+            <svg width="16" height="16" viewBox="0 0 16 16">
+              <path d="M0 0 L0 14 L4 10 L7 16 L9 15 L6 9 L12 9 Z" fill={peer.color} />
+            </svg>
+            <span
+              className="ml-3 px-1.5 py-0.5 rounded text-xs text-white whitespace-nowrap"
+              style={{ backgroundColor: peer.color }}
+            >
+              {peer.username}
+            </span>
+          </div>
+        ))}
+    </div>
+  );
+};
+
+export default PresenceCursors;
@@ -0,0 +1,144 @@
+import React, { useState } from 'react';
+
+const formatSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  return `${(bytes / 1024).toFixed(1)} KB`;
+};
+
+const FileTreeNode = ({ node, depth, selectedPath, onSelect }) => {
+  const [expanded, setExpanded] = useState(depth === 0);
+  const indent = { paddingLeft: `${depth * 12 + 8}px` };
+
+  if (node.type === 'directory') {
+    return (
+      <div>
+        <button
+          onClick={() => setExpanded(!expanded)}
+          style={indent}
+          className="w-full text-left py-1 pr-2 text-sm text-gray-700 hover:bg-gray-100 truncate"
+        >
+          {expanded ? '📂' : '📁'} {node.name}
+        </button>
+        {expanded &&
+          node.children.map((child) => (
+            <FileTreeNode
+              key={child.path}
+              node={child}
+              depth={depth + 1}
+              selectedPath={selectedPath}
+              onSelect={onSelect}
+            />
+          ))}
+      </div>
+    );
+  }
+
+  return (
+    <button
+      onClick={() => onSelect(node.path)}
+      style={indent}
+      className={`w-full text-left py-1 pr-2 text-sm truncate ${
+        selectedPath === node.path
+          ? 'bg-blue-100 text-blue-800'
+          : 'text-gray-700 hover:bg-gray-100'
+      }`}
+    >
+      📄 {node.name}
+    </button>
+  );
+};
+
+const findNode = (nodes, path) => {
+  for (const node of nodes) {
+    if (node.path === path) return node;
+    if (node.children) {
+      const found = findNode(node.children, path);
+      if (found) return found;
+    }
+  }
+  return null;
+};
+
+const ProjectPreview = ({ preview, onClose, onDownload, downloading }) => {
+  const [selectedPath, setSelectedPath] = useState(
+    preview.files['docker-compose.yml'] !== undefined ? 'docker-compose.yml' : null
+  );
+
+  const selectedNode = selectedPath ? findNode(preview.tree, selectedPath) : null;
+  const content = selectedPath ? preview.files[selectedPath] : null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-6">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-6xl h-full flex flex-col">
+        {/* Header */}
+        <div className="px-6 py-3 border-b border-gray-200 flex items-center justify-between">
+          <div>
+            <h2 className="text-lg font-bold text-gray-800">
+              Preview: {preview.projectName}
+            </h2>
+            <p className="text-xs text-gray-500">
+              {Object.keys(preview.files).length} files generated
+            </p>
+          </div>
+          <div className="flex items-center space-x-2">
+            <button
+              onClick={onDownload}
+              disabled={downloading}
+              className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-md text-sm font-medium transition disabled:opacity-50"
+            >
+              {downloading ? '⚙️ Generating...' : '⬇️ Download zip'}
+            </button>
+            <button
+              onClick={onClose}
+              className="px-4 py-2 text-gray-600 hover:text-gray-800 border border-gray-300 hover:bg-gray-50 rounded-md text-sm transition"
+            >
+              Close
+            </button>
+          </div>
+        </div>
+
+        <div className="flex flex-1 min-h-0">
+          {/* File explorer */}
+          <div className="w-64 border-r border-gray-200 overflow-y-auto py-2">
+            {preview.tree.map((node) => (
+              <FileTreeNode
+                key={node.path}
+                node={node}
+                depth={0}
+                selectedPath={selectedPath}
+                onSelect={setSelectedPath}
+              />
+            ))}
+          </div>
+
+          {/* Code viewer */}
+          <div className="flex-1 flex flex-col min-w-0">
+            {selectedNode ? (
+              <>
+                <div className="px-4 py-2 border-b border-gray-200 bg-gray-50 flex items-center justify-between">
+                  <span className="text-sm font-mono text-gray-700 truncate">{selectedPath}</span>
+                  <span className="text-xs text-gray-400">{formatSize(selectedNode.size)}</span>
+                </div>
+                {content === null ? (
+                  <div className="flex-1 flex items-center justify-center text-sm text-gray-400">
+                    Binary or large file, not shown in preview
+                  </div>
+                ) : (
+                  <pre className="flex-1 overflow-auto bg-gray-900 text-gray-100 text-xs font-mono p-4 leading-5">
+                    {content}
+                  </pre>
+                )}
+              </>
+            ) : (
+              <div className="flex-1 flex items-center justify-center text-sm text-gray-400">
+                Select a file to view its contents
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProjectPreview;
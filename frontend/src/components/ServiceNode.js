@@ -1,14 +1,17 @@
 import React from 'react';
 import { Handle, Position } from 'reactflow';
+import { useTemplateStore, getColorClasses } from '../store/templateStore';
 
 const ServiceNode = ({ data, selected }) => {
+  const template = useTemplateStore((state) => state.templates[data.type]);
+
   return (
     <div
       className={`
         px-4 py-3 rounded-lg border-2 shadow-lg min-w-[160px]
         transition-all duration-200
         ${selected ? 'border-blue-500 ring-2 ring-blue-300' : 'border-gray-300'}
-        ${getNodeColor(data.type)}
+        ${getColorClasses(template?.color).node}
       `}
     >
       <Handle
@@ -18,7 +21,7 @@ const ServiceNode = ({ data, selected }) => {
       />
       
       <div className="flex flex-col items-center">
-        <div className="text-3xl mb-2">{data.icon}</div>
+        <div className="text-3xl mb-2">{template?.icon || data.icon}</div>
         <div className="text-sm font-semibold text-gray-800 text-center">
           {data.label}
         </div>
@@ -41,21 +44,4 @@ const ServiceNode = ({ data, selected }) => {
   );
 };
 
-function getNodeColor(type) {
-  const colors = {
-    react: 'bg-blue-50',
-    vue: 'bg-green-50',
-    angular: 'bg-red-50',
-    node: 'bg-green-50',
-    'python-flask': 'bg-gray-50',
-    'python-fastapi': 'bg-teal-50',
-    mongodb: 'bg-green-50',
-    postgresql: 'bg-blue-50',
-    mysql: 'bg-blue-50',
-    redis: 'bg-red-50',
-    pyspark: 'bg-yellow-50',
-  };
-  return colors[type] || 'bg-white';
-}
-
 export default ServiceNode;
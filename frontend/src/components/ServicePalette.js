@@ -1,40 +1,31 @@
-import React from 'react';
-
-const SERVICES = [
-  {
-    category: 'Frontend',
-    items: [
-      { type: 'react', name: 'React', icon: '⚛️', color: 'bg-blue-100 border-blue-300' },
-      { type: 'vue', name: 'Vue.js', icon: '💚', color: 'bg-green-100 border-green-300' },
-      { type: 'angular', name: 'Angular', icon: '🅰️', color: 'bg-red-100 border-red-300' },
-    ],
-  },
-  {
-    category: 'Backend',
-    items: [
-      { type: 'node', name: 'Node.js', icon: '🟢', color: 'bg-green-100 border-green-400' },
-      { type: 'python-flask', name: 'Flask', icon: '🐍', color: 'bg-gray-100 border-gray-400' },
-      { type: 'python-fastapi', name: 'FastAPI', icon: '⚡', color: 'bg-teal-100 border-teal-400' },
-    ],
-  },
-  {
-    category: 'Database',
-    items: [
-      { type: 'mongodb', name: 'MongoDB', icon: '🍃', color: 'bg-green-100 border-green-500' },
-      { type: 'postgresql', name: 'PostgreSQL', icon: '🐘', color: 'bg-blue-100 border-blue-400' },
-      { type: 'mysql', name: 'MySQL', icon: '🐬', color: 'bg-blue-100 border-blue-500' },
-    ],
-  },
-  {
-    category: 'Cache & Others',
-    items: [
-      { type: 'redis', name: 'Redis', icon: '🔴', color: 'bg-red-100 border-red-400' },
-      { type: 'pyspark', name: 'PySpark', icon: '✨', color: 'bg-yellow-100 border-yellow-400' },
-    ],
-  },
-];
+import React, { useEffect, useRef, useState } from 'react';
+import { useTemplateStore, getColorClasses } from '../store/templateStore';
+import { useWorkspaceStore } from '../store/workspaceStore';
 
 const ServicePalette = ({ onAddService }) => {
+  const {
+    categories,
+    loading,
+    error,
+    customTemplatesEnabled,
+    fetchTemplates,
+    uploadTemplate,
+    deleteTemplate,
+  } = useTemplateStore();
+  const [uploading, setUploading] = useState(false);
+  const fileInputRef = useRef(null);
+
+  // Org admins working in an organization workspace share uploads with the whole team
+  const uploadOrganization = useWorkspaceStore((state) =>
+    state.organizations.find(
+      (org) => org._id === state.workspace && (org.role === 'admin' || org.role === 'owner')
+    )
+  );
+
+  useEffect(() => {
+    fetchTemplates();
+  }, [fetchTemplates]);
+
   const handleDragStart = (event, service) => {
     event.dataTransfer.setData('application/reactflow', JSON.stringify(service));
     event.dataTransfer.effectAllowed = 'move';
@@ -44,6 +35,35 @@ const ServicePalette = ({ onAddService }) => {
     onAddService(service.type, service.name);
   };
 
+  const handleUpload = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setUploading(true);
+    try {
+      const template = await uploadTemplate(file, uploadOrganization?._id);
+      alert(`Template "${template.name}" uploaded successfully!`);
+    } catch (error) {
+      console.error('Template upload error:', error);
+      alert(error.response?.data?.error || 'Failed to upload template');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleDelete = async (event, service) => {
+    event.stopPropagation();
+    if (!window.confirm(`Delete custom template "${service.name}"?`)) return;
+
+    try {
+      await deleteTemplate(service.type);
+    } catch (error) {
+      console.error('Template delete error:', error);
+      alert('Failed to delete template');
+    }
+  };
+
   return (
     <div className="w-64 bg-white border-r border-gray-200 p-4 overflow-y-auto">
       <h2 className="text-lg font-bold text-gray-800 mb-4">Service Palette</h2>
@@ -51,20 +71,36 @@ const ServicePalette = ({ onAddService }) => {
         Drag & drop or click to add services
       </p>
 
-      {SERVICES.map((category) => (
+      {loading && categories.length === 0 && (
+        <p className="text-sm text-gray-400">Loading services...</p>
+      )}
+
+      {error && (
+        <div className="bg-red-50 border border-red-300 text-red-700 text-xs px-3 py-2 rounded mb-4">
+          {error}
+          <button
+            onClick={() => fetchTemplates(true)}
+            className="block mt-1 font-medium underline"
+          >
+            Retry
+          </button>
+        </div>
+      )}
+
+      {categories.map((category) => (
         <div key={category.category} className="mb-6">
           <h3 className="text-sm font-semibold text-gray-700 mb-2">
             {category.category}
           </h3>
           <div className="space-y-2">
-            {category.items.map((service) => (
+            {category.services.map((service) => (
               <div
                 key={service.type}
                 draggable
                 onDragStart={(e) => handleDragStart(e, service)}
                 onClick={() => handleClick(service)}
                 className={`
-                  ${service.color}
+                  ${getColorClasses(service.color).palette}
                   border-2 rounded-lg p-3 cursor-move
                   hover:shadow-md transition-all duration-200
                   active:scale-95
@@ -72,15 +108,47 @@ const ServicePalette = ({ onAddService }) => {
               >
                 <div className="flex items-center space-x-2">
                   <span className="text-2xl">{service.icon}</span>
-                  <span className="text-sm font-medium text-gray-800">
+                  <span className="text-sm font-medium text-gray-800 flex-1">
                     {service.name}
                   </span>
+                  {service.custom && (
+                    <button
+                      onClick={(e) => handleDelete(e, service)}
+                      className="text-gray-400 hover:text-red-600 text-sm"
+                      title="Delete template"
+                    >
+                      ×
+                    </button>
+                  )}
                 </div>
               </div>
             ))}
           </div>
         </div>
       ))}
+
+      {customTemplatesEnabled && (
+        <div className="border-t border-gray-200 pt-4">
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".zip,application/zip"
+            onChange={handleUpload}
+            className="hidden"
+          />
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            disabled={uploading}
+            className="w-full px-3 py-2 text-sm border-2 border-dashed border-gray-300 rounded-lg text-gray-600 hover:border-blue-400 hover:text-blue-600 disabled:opacity-50"
+          >
+            {uploading ? 'Uploading...' : '+ Upload template (.zip)'}
+          </button>
+          <p className="text-xs text-gray-400 mt-2">
+            A zip with a template.json manifest and EJS files
+            {uploadOrganization && `, shared with ${uploadOrganization.name}`}
+          </p>
+        </div>
+      )}
     </div>
   );
 };
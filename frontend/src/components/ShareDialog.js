@@ -0,0 +1,176 @@
+import React, { useEffect, useState } from 'react';
+import { projectsAPI } from '../api/api';
+
+const ROLES = ['viewer', 'editor', 'admin'];
+
+const ROLE_DESCRIPTIONS = {
+  viewer: 'Can view and download',
+  editor: 'Can edit and save',
+  admin: 'Can edit and manage sharing',
+};
+
+const ShareDialog = ({ projectId, role, onClose }) => {
+  const [owner, setOwner] = useState(null);
+  const [organization, setOrganization] = useState(null);
+  const [collaborators, setCollaborators] = useState([]);
+  const [email, setEmail] = useState('');
+  const [inviteRole, setInviteRole] = useState('editor');
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const canManage = role === 'owner' || role === 'admin';
+  // Only owners may grant or revoke admin rights
+  const assignableRoles = role === 'owner' ? ROLES : ROLES.filter((r) => r !== 'admin');
+
+  const applyResponse = (response) => {
+    setOwner(response.data.owner);
+    setOrganization(response.data.organization);
+    setCollaborators(response.data.collaborators);
+  };
+
+  useEffect(() => {
+    projectsAPI
+      .getCollaborators(projectId)
+      .then(applyResponse)
+      .catch((err) => {
+        console.error('Failed to load collaborators:', err);
+        setError('Failed to load collaborators');
+      });
+  }, [projectId]);
+
+  const run = async (request) => {
+    setBusy(true);
+    setError('');
+
+    try {
+      applyResponse(await request());
+      return true;
+    } catch (err) {
+      setError(err.response?.data?.error || err.response?.data?.errors?.[0]?.msg || 'Request failed');
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleInvite = async (event) => {
+    event.preventDefault();
+    if (!email.trim()) return;
+
+    const added = await run(() => projectsAPI.addCollaborator(projectId, { email, role: inviteRole }));
+    if (added) setEmail('');
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-6">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-lg">
+        <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+          <h2 className="text-lg font-bold text-gray-800">Share Project</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600 text-xl">
+            ×
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          {canManage && (
+            <form onSubmit={handleInvite} className="flex space-x-2">
+              <input
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                placeholder="teammate@example.com"
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <select
+                value={inviteRole}
+                onChange={(e) => setInviteRole(e.target.value)}
+                className="px-2 py-2 border border-gray-300 rounded-md text-sm"
+              >
+                {assignableRoles.map((r) => (
+                  <option key={r} value={r}>{r}</option>
+                ))}
+              </select>
+              <button
+                type="submit"
+                disabled={busy}
+                className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-md text-sm font-medium transition disabled:opacity-50"
+              >
+                Invite
+              </button>
+            </form>
+          )}
+
+          {error && (
+            <div className="bg-red-50 border border-red-300 text-red-700 text-sm px-3 py-2 rounded">
+              {error}
+            </div>
+          )}
+
+          <ul className="divide-y divide-gray-100">
+            {organization && (
+              <li className="py-2 flex items-center justify-between">
+                <div>
+                  <p className="text-sm font-medium text-gray-800">🏢 {organization.name}</p>
+                  <p className="text-xs text-gray-500">Admins own the project, members edit it</p>
+                </div>
+                <span className="text-sm text-gray-500">owner</span>
+              </li>
+            )}
+            {owner && (
+              <li className="py-2 flex items-center justify-between">
+                <div>
+                  <p className="text-sm font-medium text-gray-800">{owner.username}</p>
+                  <p className="text-xs text-gray-500">{owner.email}</p>
+                </div>
+                <span className="text-sm text-gray-500">owner</span>
+              </li>
+            )}
+            {collaborators.map(({ user, role: collaboratorRole }) => (
+              <li key={user._id} className="py-2 flex items-center justify-between">
+                <div>
+                  <p className="text-sm font-medium text-gray-800">{user.username}</p>
+                  <p className="text-xs text-gray-500">{user.email}</p>
+                </div>
+                {canManage && (collaboratorRole !== 'admin' || role === 'owner') ? (
+                  <div className="flex items-center space-x-2">
+                    <select
+                      value={collaboratorRole}
+                      disabled={busy}
+                      title={ROLE_DESCRIPTIONS[collaboratorRole]}
+                      onChange={(e) =>
+                        run(() => projectsAPI.updateCollaborator(projectId, user._id, e.target.value))
+                      }
+                      className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+                    >
+                      {assignableRoles.map((r) => (
+                        <option key={r} value={r}>{r}</option>
+                      ))}
+                    </select>
+                    <button
+                      onClick={() => run(() => projectsAPI.removeCollaborator(projectId, user._id))}
+                      disabled={busy}
+                      className="text-gray-400 hover:text-red-600"
+                      title="Remove access"
+                    >
+                      ×
+                    </button>
+                  </div>
+                ) : (
+                  <span className="text-sm text-gray-500" title={ROLE_DESCRIPTIONS[collaboratorRole]}>
+                    {collaboratorRole}
+                  </span>
+                )}
+              </li>
+            ))}
+          </ul>
+
+          {collaborators.length === 0 && (
+            <p className="text-sm text-gray-400">Not shared with anyone yet</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ShareDialog;
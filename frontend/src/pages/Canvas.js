@@ -4,7 +4,6 @@ import ReactFlow, {
   Background,
   Controls,
   MiniMap,
-  addEdge,
   useNodesState,
   useEdgesState,
 } from 'reactflow';
@@ -13,8 +12,16 @@ import 'reactflow/dist/style.css';
 import ServicePalette from '../components/ServicePalette';
 import ConfigPanel from '../components/ConfigPanel';
 import ServiceNode from '../components/ServiceNode';
+import ProjectPreview from '../components/ProjectPreview';
+import HistoryDrawer from '../components/HistoryDrawer';
+import ShareDialog from '../components/ShareDialog';
+import PresenceCursors from '../components/PresenceCursors';
+import PresenceAvatars from '../components/PresenceAvatars';
 import { useCanvasStore } from '../store/canvasStore';
-import { projectsAPI, generateAPI } from '../api/api';
+import { useTemplateStore } from '../store/templateStore';
+import { useCollaborationStore } from '../store/collaborationStore';
+import { useWorkspaceStore, getCurrentOrganization } from '../store/workspaceStore';
+import { projectsAPI, generateAPI, importAPI, blueprintsAPI } from '../api/api';
 
 const nodeTypes = {
   serviceNode: ServiceNode,
@@ -24,6 +31,7 @@ const Canvas = () => {
   const { id } = useParams();
   const navigate = useNavigate();
   const reactFlowWrapper = useRef(null);
+  const importInputRef = useRef(null);
   
   const {
     nodes,
@@ -31,7 +39,14 @@ const Canvas = () => {
     setNodes,
     setEdges,
     addNode,
+    removeNode,
+    moveNode,
+    addEdge,
+    removeEdge,
+    replaceDesign,
+    autoLayout,
     setSelectedNode,
+    setSelectedEdge,
     getProjectData,
     loadProject,
     clearCanvas,
@@ -39,15 +54,38 @@ const Canvas = () => {
     projectDescription,
     setProjectName,
     setProjectDescription,
+    projectTags,
+    setProjectTags,
+    isPublic,
+    setIsPublic,
+    projectMetadata,
+    setProjectMetadata,
   } = useCanvasStore();
 
-  const [rfNodes, setRfNodes, onNodesChange] = useNodesState(nodes);
-  const [rfEdges, setRfEdges, onEdgesChange] = useEdgesState(edges);
+  const [rfNodes, setRfNodes, onRfNodesChange] = useNodesState(nodes);
+  const [rfEdges, setRfEdges, onRfEdgesChange] = useEdgesState(edges);
   const [reactFlowInstance, setReactFlowInstance] = useState(null);
   const [saving, setSaving] = useState(false);
   const [generating, setGenerating] = useState(false);
+  const [previewing, setPreviewing] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [preview, setPreview] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
+  const [showShare, setShowShare] = useState(false);
+  // Role on the open project; new, unsaved projects belong to the current user
+  const [projectRole, setProjectRole] = useState('owner');
   const [showProjectSettings, setShowProjectSettings] = useState(false);
   const [currentProjectId, setCurrentProjectId] = useState(id || null);
+  const [tagsText, setTagsText] = useState('');
+
+  useEffect(() => {
+    setTagsText(projectTags.join(', '));
+  }, [projectTags]);
+
+  const applyTags = () => {
+    const tags = tagsText.split(',').map((tag) => tag.trim().toLowerCase()).filter(Boolean);
+    setProjectTags([...new Set(tags)]);
+  };
 
   // Sync store with ReactFlow state
   useEffect(() => {
@@ -58,12 +96,22 @@ const Canvas = () => {
     setRfEdges(edges);
   }, [edges, setRfEdges]);
 
+  const fetchTemplates = useTemplateStore((state) => state.fetchTemplates);
+  const fetchOrganizations = useWorkspaceStore((state) => state.fetchOrganizations);
+
+  useEffect(() => {
+    fetchTemplates();
+    // New projects and uploads go to the selected organization workspace
+    fetchOrganizations();
+  }, [fetchTemplates, fetchOrganizations]);
+
   // Load project if ID provided
   useEffect(() => {
     if (id) {
       loadProjectData(id);
     } else {
       clearCanvas();
+      setProjectRole('owner');
     }
   }, [id]);
 
@@ -71,6 +119,7 @@ const Canvas = () => {
     try {
       const response = await projectsAPI.getById(projectId);
       loadProject(response.data.project);
+      setProjectRole(response.data.role);
       setCurrentProjectId(projectId);
     } catch (error) {
       console.error('Failed to load project:', error);
@@ -78,12 +127,62 @@ const Canvas = () => {
     }
   };
 
+  const connect = useCollaborationStore((state) => state.connect);
+  const disconnect = useCollaborationStore((state) => state.disconnect);
+  const sendCursor = useCollaborationStore((state) => state.sendCursor);
+
+  // Join the project's live session so edits are shared with teammates
+  useEffect(() => {
+    if (!currentProjectId) return undefined;
+
+    connect(currentProjectId);
+    return () => disconnect();
+  }, [currentProjectId, connect, disconnect]);
+
+  // Deletions go through the store so collaborators see them too
+  const onNodesChange = useCallback(
+    (changes) => {
+      changes.filter((change) => change.type === 'remove').forEach((change) => removeNode(change.id));
+      onRfNodesChange(changes.filter((change) => change.type !== 'remove'));
+    },
+    [onRfNodesChange, removeNode]
+  );
+
+  const onEdgesChange = useCallback(
+    (changes) => {
+      changes.filter((change) => change.type === 'remove').forEach((change) => removeEdge(change.id));
+      onRfEdgesChange(changes.filter((change) => change.type !== 'remove'));
+    },
+    [onRfEdgesChange, removeEdge]
+  );
+
   const onConnect = useCallback(
     (params) => {
-      setRfEdges((eds) => addEdge({ ...params, type: 'smoothstep', animated: true }, eds));
-      setEdges(rfEdges);
+      addEdge(params.source, params.target);
+    },
+    [addEdge]
+  );
+
+  const onNodeDragStop = useCallback(
+    (event, node) => {
+      moveNode(node.id, node.position);
     },
-    [setRfEdges, setEdges, rfEdges]
+    [moveNode]
+  );
+
+  const onMouseMove = useCallback(
+    (event) => {
+      if (!reactFlowInstance) return;
+
+      const bounds = reactFlowWrapper.current.getBoundingClientRect();
+      sendCursor(
+        reactFlowInstance.project({
+          x: event.clientX - bounds.left,
+          y: event.clientY - bounds.top,
+        })
+      );
+    },
+    [reactFlowInstance, sendCursor]
   );
 
   const onNodeClick = useCallback(
@@ -93,6 +192,13 @@ const Canvas = () => {
     [setSelectedNode]
   );
 
+  const onEdgeClick = useCallback(
+    (event, edge) => {
+      setSelectedEdge(edge.id);
+    },
+    [setSelectedEdge]
+  );
+
   const onDrop = useCallback(
     (event) => {
       event.preventDefault();
@@ -107,27 +213,9 @@ const Canvas = () => {
         y: event.clientY - reactFlowBounds.top,
       });
 
-      const newNode = {
-        id: `${serviceData.type}-${Date.now()}`,
-        type: 'serviceNode',
-        position,
-        data: {
-          id: `${serviceData.type}-${Date.now()}`,
-          type: serviceData.type,
-          label: serviceData.name,
-          icon: serviceData.icon,
-          config: {
-            port: getDefaultPort(serviceData.type),
-            environment: {},
-            volumes: [],
-          },
-        },
-      };
-
-      setRfNodes((nds) => nds.concat(newNode));
-      setNodes(rfNodes.concat(newNode));
+      addNode(serviceData.type, serviceData.name, {}, position);
     },
-    [reactFlowInstance, setRfNodes, setNodes, rfNodes]
+    [reactFlowInstance, addNode]
   );
 
   const onDragOver = useCallback((event) => {
@@ -146,16 +234,25 @@ const Canvas = () => {
       return;
     }
 
+    // Every save becomes a version; the message shows up in the history drawer
+    let message;
+    if (currentProjectId) {
+      message = window.prompt('Describe this change (optional):', '');
+      if (message === null) return;
+    }
+
     setSaving(true);
 
     try {
       const projectData = getProjectData();
 
       if (currentProjectId) {
-        await projectsAPI.update(currentProjectId, projectData);
+        await projectsAPI.update(currentProjectId, { ...projectData, message });
         alert('Project saved successfully!');
       } else {
-        const response = await projectsAPI.create(projectData);
+        // New projects land in the organization workspace picked on the dashboard
+        const organization = getCurrentOrganization();
+        const response = await projectsAPI.create({ ...projectData, organization: organization?._id });
         setCurrentProjectId(response.data.project._id);
         navigate(`/canvas/${response.data.project._id}`);
         alert('Project created successfully!');
@@ -168,18 +265,50 @@ const Canvas = () => {
     }
   };
 
-  const handleGenerate = async () => {
+  const checkReadyToGenerate = () => {
     if (!projectName.trim()) {
       alert('Please enter a project name');
       setShowProjectSettings(true);
-      return;
+      return false;
     }
 
     if (rfNodes.length === 0) {
       alert('Please add at least one service to generate the project');
-      return;
+      return false;
     }
 
+    return true;
+  };
+
+  const handlePreview = async () => {
+    if (!checkReadyToGenerate()) return;
+
+    setPreviewing(true);
+
+    try {
+      const projectData = getProjectData();
+
+      const response = await generateAPI.preview({
+        projectName: projectData.name,
+        services: projectData.services,
+        connections: projectData.connections,
+        metadata: projectData.metadata || {},
+        projectId: currentProjectId,
+        organizationId: currentProjectId ? undefined : getCurrentOrganization()?._id,
+      });
+
+      setPreview(response.data);
+    } catch (error) {
+      console.error('Preview error:', error);
+      alert(error.response?.data?.error || 'Failed to preview project. Please try again.');
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  const handleGenerate = async () => {
+    if (!checkReadyToGenerate()) return;
+
     setGenerating(true);
 
     try {
@@ -191,6 +320,7 @@ const Canvas = () => {
         connections: projectData.connections,
         metadata: projectData.metadata || {},
         projectId: currentProjectId,
+        organizationId: currentProjectId ? undefined : getCurrentOrganization()?._id,
       });
 
       // Download the zip file
@@ -212,6 +342,82 @@ const Canvas = () => {
     }
   };
 
+  const handleRestored = (project) => {
+    loadProject(project);
+    replaceDesign(project);
+    setShowHistory(false);
+    alert('Project restored. The previous design is still available in the history.');
+  };
+
+  const handleExport = async () => {
+    if (!projectName.trim()) {
+      alert('Please enter a project name');
+      setShowProjectSettings(true);
+      return;
+    }
+
+    try {
+      const response = await blueprintsAPI.export(getProjectData());
+
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', 'kontrol.blueprint.yaml');
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Export error:', error);
+      alert('Failed to export blueprint');
+    }
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    if (rfNodes.length > 0 && !window.confirm('Replace the current design with the imported file?')) {
+      return;
+    }
+
+    setImporting(true);
+
+    try {
+      const content = await file.text();
+      // Blueprints and Kubernetes manifests declare apiVersion/kind, compose files never do
+      const isBlueprint = /^\s*["']?kind["']?\s*:\s*["']?Blueprint\b/m.test(content);
+      const isKubernetes = /^apiVersion:/m.test(content) && /^kind:/m.test(content);
+      const request = isBlueprint ? blueprintsAPI.import : isKubernetes ? importAPI.kubernetes : importAPI.compose;
+      const response = await request({ content, fileName: file.name });
+      const { blueprint } = response.data;
+
+      // Saved projects keep their name and settings; only the design is swapped for everyone
+      if (currentProjectId) {
+        replaceDesign(blueprint);
+      } else {
+        loadProject(blueprint);
+      }
+
+      const warnings = blueprint.warnings || [];
+      const skipped = warnings.length > 0 ? `\n\n${warnings.join('\n')}` : '';
+      alert(`Imported ${blueprint.services.length} services and ${blueprint.connections.length} connections.${skipped}`);
+    } catch (error) {
+      console.error('Import error:', error);
+      const { error: message, details } = error.response?.data || {};
+      const problems = Array.isArray(details) ? `\n\n${details.join('\n')}` : '';
+      alert(`${message || 'Failed to import file'}${problems}`);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const handleAutoLayout = () => {
+    autoLayout();
+    window.requestAnimationFrame(() => reactFlowInstance?.fitView({ padding: 0.2 }));
+  };
+
   const handleClear = () => {
     if (window.confirm('Clear the entire canvas? This cannot be undone.')) {
       clearCanvas();
@@ -257,6 +463,7 @@ const Canvas = () => {
             <span className="text-sm text-gray-600">
               {rfNodes.length} services, {rfEdges.length} connections
             </span>
+            <PresenceAvatars />
           </div>
 
           <div className="flex items-center space-x-2">
@@ -266,13 +473,68 @@ const Canvas = () => {
             >
               Clear
             </button>
+            <button
+              onClick={handleAutoLayout}
+              disabled={rfNodes.length === 0 || projectRole === 'viewer'}
+              title="Arrange services in tiers: frontend, backend, data"
+              className="px-4 py-2 text-gray-600 hover:text-gray-800 border border-gray-300 hover:bg-gray-50 rounded-md transition disabled:opacity-50"
+            >
+              🧭 Auto-layout
+            </button>
+            <input
+              ref={importInputRef}
+              type="file"
+              accept=".yml,.yaml,.json"
+              onChange={handleImport}
+              className="hidden"
+            />
+            <button
+              onClick={() => importInputRef.current?.click()}
+              disabled={importing || projectRole === 'viewer'}
+              title="Import a kontrol.blueprint.yaml, docker-compose.yml or Kubernetes manifests"
+              className="px-4 py-2 text-gray-600 hover:text-gray-800 border border-gray-300 hover:bg-gray-50 rounded-md transition disabled:opacity-50"
+            >
+              {importing ? 'Importing...' : '📥 Import'}
+            </button>
+            <button
+              onClick={handleExport}
+              disabled={rfNodes.length === 0}
+              title="Download the design as kontrol.blueprint.yaml"
+              className="px-4 py-2 text-gray-600 hover:text-gray-800 border border-gray-300 hover:bg-gray-50 rounded-md transition disabled:opacity-50"
+            >
+              📤 Export
+            </button>
+            {currentProjectId && (
+              <button
+                onClick={() => setShowShare(true)}
+                className="px-4 py-2 text-gray-600 hover:text-gray-800 border border-gray-300 hover:bg-gray-50 rounded-md transition"
+              >
+                👥 Share
+              </button>
+            )}
+            {currentProjectId && (
+              <button
+                onClick={() => setShowHistory(!showHistory)}
+                className="px-4 py-2 text-gray-600 hover:text-gray-800 border border-gray-300 hover:bg-gray-50 rounded-md transition"
+              >
+                🕘 History
+              </button>
+            )}
             <button
               onClick={handleSave}
-              disabled={saving}
+              disabled={saving || projectRole === 'viewer'}
+              title={projectRole === 'viewer' ? 'You have view-only access to this project' : undefined}
               className="px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-md transition disabled:opacity-50"
             >
               {saving ? 'Saving...' : '💾 Save'}
             </button>
+            <button
+              onClick={handlePreview}
+              disabled={previewing || rfNodes.length === 0}
+              className="px-4 py-2 text-blue-600 hover:text-blue-700 border border-blue-300 hover:bg-blue-50 rounded-md transition disabled:opacity-50"
+            >
+              {previewing ? 'Loading...' : '👁️ Preview'}
+            </button>
             <button
               onClick={handleGenerate}
               disabled={generating || rfNodes.length === 0}
@@ -313,6 +575,44 @@ const Canvas = () => {
                     placeholder="Brief description of your project..."
                   />
                 </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Tags
+                  </label>
+                  <input
+                    type="text"
+                    value={tagsText}
+                    onChange={(e) => setTagsText(e.target.value)}
+                    onBlur={applyTags}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    placeholder="e-commerce, node, postgres"
+                  />
+                </div>
+                <label className="flex items-center space-x-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={isPublic}
+                    disabled={projectRole !== 'owner' && projectRole !== 'admin'}
+                    onChange={(e) => setIsPublic(e.target.checked)}
+                  />
+                  <span>List in the public gallery so anyone can view and fork it</span>
+                </label>
+                <label className="flex items-center space-x-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={Boolean(projectMetadata.logging)}
+                    onChange={(e) => setProjectMetadata({ logging: e.target.checked })}
+                  />
+                  <span>Centralized logging: collect every service's logs in Loki, with JSON logs from backends</span>
+                </label>
+                <label className="flex items-center space-x-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={Boolean(projectMetadata.tracing)}
+                    onChange={(e) => setProjectMetadata({ tracing: e.target.checked })}
+                  />
+                  <span>Distributed tracing: instrument backends with OpenTelemetry and view traces in Jaeger</span>
+                </label>
                 <button
                   onClick={() => setShowProjectSettings(false)}
                   className="text-sm text-blue-600 hover:text-blue-700 font-medium"
@@ -325,7 +625,7 @@ const Canvas = () => {
         )}
 
         {/* React Flow Canvas */}
-        <div ref={reactFlowWrapper} className="flex-1">
+        <div ref={reactFlowWrapper} className="flex-1" onMouseMove={onMouseMove}>
           <ReactFlow
             nodes={rfNodes}
             edges={rfEdges}
@@ -333,6 +633,8 @@ const Canvas = () => {
             onEdgesChange={onEdgesChange}
             onConnect={onConnect}
             onNodeClick={onNodeClick}
+            onEdgeClick={onEdgeClick}
+            onNodeDragStop={onNodeDragStop}
             onDrop={onDrop}
             onDragOver={onDragOver}
             onInit={setReactFlowInstance}
@@ -340,6 +642,7 @@ const Canvas = () => {
             fitView
             className="bg-gray-50"
           >
+            <PresenceCursors />
             <Background color="#ddd" gap={16} />
             <Controls />
             <MiniMap
@@ -354,25 +657,36 @@ const Canvas = () => {
 
       {/* Config Panel */}
       <ConfigPanel />
+
+      {/* Sharing */}
+      {showShare && currentProjectId && (
+        <ShareDialog
+          projectId={currentProjectId}
+          role={projectRole}
+          onClose={() => setShowShare(false)}
+        />
+      )}
+
+      {/* Version History */}
+      {showHistory && currentProjectId && (
+        <HistoryDrawer
+          projectId={currentProjectId}
+          onClose={() => setShowHistory(false)}
+          onRestored={handleRestored}
+        />
+      )}
+
+      {/* Generated Files Preview */}
+      {preview && (
+        <ProjectPreview
+          preview={preview}
+          onClose={() => setPreview(null)}
+          onDownload={handleGenerate}
+          downloading={generating}
+        />
+      )}
     </div>
   );
 };
 
-function getDefaultPort(type) {
-  const ports = {
-    react: 3000,
-    vue: 8080,
-    angular: 4200,
-    node: 5000,
-    'python-flask': 5000,
-    'python-fastapi': 8000,
-    mongodb: 27017,
-    postgresql: 5432,
-    mysql: 3306,
-    redis: 6379,
-    pyspark: 8080,
-  };
-  return ports[type] || 8080;
-}
-
 export default Canvas;
@@ -2,21 +2,31 @@ import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { projectsAPI } from '../api/api';
 import { useAuthStore } from '../store/authStore';
+import { useWorkspaceStore } from '../store/workspaceStore';
+import OrganizationSettings from '../components/OrganizationSettings';
 
 const Dashboard = () => {
   const { user } = useAuthStore();
   const [projects, setProjects] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  const [showOrganizationSettings, setShowOrganizationSettings] = useState(false);
+  const { organizations, workspace, fetchOrganizations, setWorkspace, createOrganization } = useWorkspaceStore();
+  const currentOrganization = organizations.find((org) => org._id === workspace);
 
   useEffect(() => {
-    fetchProjects();
-  }, []);
+    fetchOrganizations();
+  }, [fetchOrganizations]);
 
-  const fetchProjects = async () => {
+  useEffect(() => {
+    fetchProjects(workspace);
+  }, [workspace]);
+
+  const fetchProjects = async (workspace) => {
     try {
       setLoading(true);
-      const response = await projectsAPI.getAll();
+      setError('');
+      const response = await projectsAPI.getAll(workspace === 'all' ? {} : { workspace });
       setProjects(response.data.projects);
     } catch (err) {
       setError('Failed to load projects');
@@ -26,6 +36,70 @@ const Dashboard = () => {
     }
   };
 
+  // Organization projects are left by leaving the organization
+  const isOrganizationMember = (project) =>
+    Boolean(project.organization) && organizations.some((org) => org._id === project.organization._id);
+
+  const handleWorkspaceChange = async (value) => {
+    if (value !== 'new') {
+      setWorkspace(value);
+      return;
+    }
+
+    const name = window.prompt('Organization name:');
+    if (!name?.trim()) return;
+
+    try {
+      await createOrganization(name.trim());
+    } catch (err) {
+      alert(err.response?.data?.errors?.[0]?.msg || 'Failed to create organization');
+      console.error(err);
+    }
+  };
+
+  const handleOrganizationRemoved = () => {
+    setShowOrganizationSettings(false);
+    setWorkspace('all');
+    fetchOrganizations();
+  };
+
+  const handleLeave = async (projectId) => {
+    if (!window.confirm('Leave this shared project? You will lose access to it.')) {
+      return;
+    }
+
+    try {
+      await projectsAPI.removeCollaborator(projectId, user.id);
+      setProjects(projects.filter((p) => p._id !== projectId));
+    } catch (err) {
+      alert('Failed to leave project');
+      console.error(err);
+    }
+  };
+
+  // Projects can move into organizations the user administers, or back to personal
+  const moveTargets = (project) => [
+    ...(project.organization ? [{ value: 'personal', label: 'Personal' }] : []),
+    ...organizations
+      .filter((org) => ['owner', 'admin'].includes(org.role) && org._id !== project.organization?._id)
+      .map((org) => ({ value: org._id, label: org.name })),
+  ];
+
+  const handleMove = async (project, target) => {
+    const label = target === 'personal' ? 'your personal workspace' : organizations.find((org) => org._id === target)?.name;
+    if (!window.confirm(`Move "${project.name}" to ${label}?`)) {
+      return;
+    }
+
+    try {
+      await projectsAPI.move(project._id, target === 'personal' ? null : target);
+      fetchProjects(workspace);
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to move project');
+      console.error(err);
+    }
+  };
+
   const handleDelete = async (projectId) => {
     if (!window.confirm('Are you sure you want to delete this project?')) {
       return;
@@ -59,13 +133,39 @@ const Dashboard = () => {
             Manage your microservice projects
           </p>
         </div>
-        <Link
-          to="/canvas"
-          className="bg-blue-600 hover:bg-blue-700 text-white px-6 py-3 rounded-lg font-medium transition flex items-center space-x-2"
-        >
-          <span>+</span>
-          <span>New Project</span>
-        </Link>
+        <div className="flex items-center space-x-3">
+          <select
+            value={workspace}
+            onChange={(e) => handleWorkspaceChange(e.target.value)}
+            className="px-3 py-3 border border-gray-300 rounded-lg text-sm bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+            title="Workspace"
+          >
+            <option value="all">All projects</option>
+            <option value="personal">Personal</option>
+            {organizations.map((org) => (
+              <option key={org._id} value={org._id}>
+                🏢 {org.name}
+              </option>
+            ))}
+            <option value="new">+ New organization...</option>
+          </select>
+          {currentOrganization && (
+            <button
+              onClick={() => setShowOrganizationSettings(true)}
+              className="px-4 py-3 border border-gray-300 text-gray-700 hover:bg-gray-50 rounded-lg text-sm font-medium transition"
+              title="Organization settings"
+            >
+              ⚙️ Settings
+            </button>
+          )}
+          <Link
+            to="/canvas"
+            className="bg-blue-600 hover:bg-blue-700 text-white px-6 py-3 rounded-lg font-medium transition flex items-center space-x-2"
+          >
+            <span>+</span>
+            <span>New Project</span>
+          </Link>
+        </div>
       </div>
 
       {error && (
@@ -124,6 +224,21 @@ const Dashboard = () => {
 
               <div className="text-xs text-gray-400 mb-4">
                 Updated: {formatDate(project.updatedAt)}
+                {project.isPublic && (
+                  <span className="ml-2 px-2 py-0.5 bg-green-100 text-green-700 rounded">
+                    🌍 Public
+                  </span>
+                )}
+                {project.organization && (
+                  <span className="ml-2 px-2 py-0.5 bg-blue-100 text-blue-700 rounded">
+                    🏢 {project.organization.name}
+                  </span>
+                )}
+                {project.role && project.role !== 'owner' && !project.organization && (
+                  <span className="ml-2 px-2 py-0.5 bg-purple-100 text-purple-700 rounded">
+                    Shared by {project.owner?.username} · {project.role}
+                  </span>
+                )}
               </div>
 
               <div className="flex space-x-2">
@@ -133,17 +248,47 @@ const Dashboard = () => {
                 >
                   Open
                 </Link>
-                <button
-                  onClick={() => handleDelete(project._id)}
-                  className="px-4 py-2 border border-red-300 text-red-600 hover:bg-red-50 rounded text-sm font-medium transition"
-                >
-                  Delete
-                </button>
+                {project.role === 'owner' && moveTargets(project).length > 0 && (
+                  <select
+                    value=""
+                    onChange={(e) => handleMove(project, e.target.value)}
+                    className="px-2 py-2 border border-gray-300 text-gray-600 rounded text-sm"
+                  >
+                    <option value="" disabled>Move to…</option>
+                    {moveTargets(project).map((target) => (
+                      <option key={target.value} value={target.value}>{target.label}</option>
+                    ))}
+                  </select>
+                )}
+                {project.role === 'owner' ? (
+                  <button
+                    onClick={() => handleDelete(project._id)}
+                    className="px-4 py-2 border border-red-300 text-red-600 hover:bg-red-50 rounded text-sm font-medium transition"
+                  >
+                    Delete
+                  </button>
+                ) : !isOrganizationMember(project) && (
+                  <button
+                    onClick={() => handleLeave(project._id)}
+                    className="px-4 py-2 border border-gray-300 text-gray-600 hover:bg-gray-50 rounded text-sm font-medium transition"
+                  >
+                    Leave
+                  </button>
+                )}
               </div>
             </div>
           ))}
         </div>
       )}
+
+      {showOrganizationSettings && currentOrganization && (
+        <OrganizationSettings
+          organizationId={currentOrganization._id}
+          onClose={() => setShowOrganizationSettings(false)}
+          onChanged={fetchOrganizations}
+          onRemoved={handleOrganizationRemoved}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,247 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { galleryAPI } from '../api/api';
+import { useAuthStore } from '../store/authStore';
+import { useTemplateStore } from '../store/templateStore';
+import { useWorkspaceStore } from '../store/workspaceStore';
+
+const PAGE_SIZE = 12;
+
+const Gallery = () => {
+  const navigate = useNavigate();
+  const { isAuthenticated } = useAuthStore();
+  const { templates, fetchTemplates } = useTemplateStore();
+  const { organizations, workspace, fetchOrganizations } = useWorkspaceStore();
+  const [projects, setProjects] = useState([]);
+  const [tags, setTags] = useState([]);
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState('');
+  const [selectedTags, setSelectedTags] = useState([]);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [forking, setForking] = useState(null);
+
+  // Forks land in the workspace picked on the dashboard
+  const forkOrganization = organizations.find((org) => org._id === workspace);
+
+  useEffect(() => {
+    galleryAPI
+      .getTags()
+      .then((response) => setTags(response.data.tags))
+      .catch((err) => console.error('Failed to load tags:', err));
+  }, []);
+
+  useEffect(() => {
+    if (!isAuthenticated) return;
+
+    fetchTemplates();
+    fetchOrganizations();
+  }, [isAuthenticated, fetchTemplates, fetchOrganizations]);
+
+  useEffect(() => {
+    const fetchProjects = async () => {
+      try {
+        setLoading(true);
+        setError('');
+        const response = await galleryAPI.getAll({
+          search: search || undefined,
+          tag: selectedTags.length > 0 ? selectedTags.join(',') : undefined,
+          page,
+          limit: PAGE_SIZE,
+        });
+        setProjects(response.data.projects);
+        setTotalPages(Math.max(response.data.totalPages, 1));
+      } catch (err) {
+        setError('Failed to load the gallery');
+        console.error(err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchProjects();
+  }, [search, selectedTags, page]);
+
+  const handleSearch = (event) => {
+    event.preventDefault();
+    setSearch(searchInput.trim());
+    setPage(1);
+  };
+
+  const toggleTag = (tag) => {
+    setSelectedTags(
+      selectedTags.includes(tag) ? selectedTags.filter((t) => t !== tag) : [...selectedTags, tag]
+    );
+    setPage(1);
+  };
+
+  const handleFork = async (project) => {
+    if (!isAuthenticated) {
+      navigate('/login');
+      return;
+    }
+
+    setForking(project._id);
+    try {
+      const response = await galleryAPI.fork(project._id, {
+        organization: forkOrganization?._id,
+      });
+      navigate(`/canvas/${response.data.project._id}`);
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to fork project');
+      console.error(err);
+      setForking(null);
+    }
+  };
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900">Architecture Gallery 🌍</h1>
+        <p className="text-gray-600 mt-2">
+          Start from a proven architecture: browse public projects and fork them into your workspace
+          {isAuthenticated && (
+            <span className="text-gray-500"> ({forkOrganization ? forkOrganization.name : 'Personal'})</span>
+          )}
+        </p>
+      </div>
+
+      <form onSubmit={handleSearch} className="flex space-x-2 mb-4">
+        <input
+          type="text"
+          value={searchInput}
+          onChange={(e) => setSearchInput(e.target.value)}
+          placeholder="Search by name or description..."
+          className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <button
+          type="submit"
+          className="bg-blue-600 hover:bg-blue-700 text-white px-6 py-2 rounded-lg font-medium transition"
+        >
+          Search
+        </button>
+      </form>
+
+      {tags.length > 0 && (
+        <div className="flex flex-wrap gap-2 mb-6">
+          {tags.map(({ tag, count }) => (
+            <button
+              key={tag}
+              onClick={() => toggleTag(tag)}
+              className={`px-3 py-1 rounded-full text-sm transition ${
+                selectedTags.includes(tag)
+                  ? 'bg-blue-600 text-white'
+                  : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              #{tag} <span className="opacity-70">{count}</span>
+            </button>
+          ))}
+        </div>
+      )}
+
+      {error && (
+        <div className="bg-red-50 border border-red-300 text-red-700 px-4 py-3 rounded mb-6">
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="text-center py-20">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div>
+          <p className="text-gray-600 mt-4">Loading gallery...</p>
+        </div>
+      ) : projects.length === 0 ? (
+        <div className="text-center py-20">
+          <div className="text-6xl mb-4">🔭</div>
+          <h3 className="text-xl font-semibold text-gray-700 mb-2">No public projects found</h3>
+          <p className="text-gray-500">Try another search or fewer tags</p>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+          {projects.map((project) => (
+            <div
+              key={project._id}
+              className="bg-white rounded-lg border border-gray-200 shadow-sm hover:shadow-md transition p-6 flex flex-col"
+            >
+              <h3 className="text-lg font-semibold text-gray-900">{project.name}</h3>
+              <p className="text-xs text-gray-400 mb-3">by {project.owner?.username || 'unknown'}</p>
+
+              <p className="text-gray-600 text-sm mb-4 line-clamp-2">
+                {project.description || 'No description'}
+              </p>
+
+              <div className="flex flex-wrap gap-1 mb-4">
+                {project.services.map((service) => (
+                  <span
+                    key={service.id}
+                    className="px-2 py-0.5 bg-gray-100 text-gray-700 rounded text-xs"
+                    title={service.type}
+                  >
+                    {templates[service.type]?.icon || '📦'} {service.label}
+                  </span>
+                ))}
+              </div>
+
+              <div className="flex flex-wrap gap-1 mb-4">
+                {project.tags.map((tag) => (
+                  <span key={tag} className="text-xs text-blue-600">
+                    #{tag}
+                  </span>
+                ))}
+              </div>
+
+              <div className="mt-auto flex items-center justify-between">
+                <span className="text-xs text-gray-400">
+                  {project.connections.length} connections · {project.forkCount} forks
+                </span>
+                <button
+                  onClick={() => handleFork(project)}
+                  disabled={forking === project._id}
+                  className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded text-sm font-medium transition disabled:opacity-50"
+                >
+                  {forking === project._id ? 'Forking...' : '🍴 Fork'}
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {totalPages > 1 && (
+        <div className="flex justify-center items-center space-x-4 mt-8">
+          <button
+            onClick={() => setPage(page - 1)}
+            disabled={page <= 1}
+            className="px-4 py-2 border border-gray-300 rounded text-sm disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <span className="text-sm text-gray-600">
+            Page {page} of {totalPages}
+          </span>
+          <button
+            onClick={() => setPage(page + 1)}
+            disabled={page >= totalPages}
+            className="px-4 py-2 border border-gray-300 rounded text-sm disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      )}
+
+      {!isAuthenticated && (
+        <p className="text-center text-sm text-gray-500 mt-8">
+          <Link to="/register" className="text-blue-600 hover:text-blue-700 font-medium">
+            Create an account
+          </Link>{' '}
+          to fork projects and design your own.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default Gallery;
@@ -1,30 +1,224 @@
 import { create } from 'zustand';
 import { v4 as uuidv4 } from 'uuid';
+import { getServiceIcon, getDefaultPort, getTemplate } from './templateStore';
 
 const initialEdges = [];
 const initialNodes = [];
 
+const toFlowNode = (service) => ({
+  id: service.id,
+  type: 'serviceNode',
+  position: service.position || { x: Math.random() * 400, y: Math.random() * 300 },
+  data: {
+    id: service.id,
+    type: service.type,
+    label: service.label,
+    icon: getServiceIcon(service.type),
+    config: service.config || {},
+  },
+});
+
+// Connection types offered on an edge; 'default' lets the builder infer one from the target
+export const CONNECTION_TYPES = {
+  default: 'Auto',
+  rest: 'REST',
+  grpc: 'gRPC',
+  database: 'Database',
+  cache: 'Cache',
+  queue: 'Message queue',
+  websocket: 'WebSocket',
+};
+
+// Older designs stored the React Flow edge style as the connection type
+const normalizeConnectionType = (type) => (type in CONNECTION_TYPES ? type : 'default');
+
+// Same inference as the backend connection service
+export const inferConnectionType = (targetType) => {
+  if (getTemplate(targetType)?.category === 'Database') return 'database';
+  if (getTemplate(targetType)?.category === 'Messaging') return 'queue';
+  if (targetType === 'redis') return 'cache';
+  return 'rest';
+};
+
+// Connection types that need a server stub, which the backend only generates for
+// these stacks; such links to other targets fall back to Auto
+const SERVED_TYPES = ['grpc', 'websocket'];
+export const serves = (targetType, connectionType) =>
+  !SERVED_TYPES.includes(connectionType) || ['node', 'python'].includes(getTemplate(targetType)?.stack);
+
+const toFlowEdge = (connection) => {
+  const connectionType = normalizeConnectionType(connection.type);
+
+  return {
+    id: connection.id,
+    source: connection.source,
+    target: connection.target,
+    type: 'smoothstep',
+    animated: true,
+    label: connectionType === 'default' ? undefined : CONNECTION_TYPES[connectionType],
+    data: { connectionType },
+  };
+};
+
+// Applies one canvas operation. Operations on missing nodes are no-ops so that
+// collaborators replaying the same sequence end up with the same canvas; the
+// backend collaboration service follows the same rules.
+const applyOperation = (state, op) => {
+  const { nodes, edges, selectedNode } = state;
+  const hasNode = (id) => nodes.some((n) => n.id === id);
+  const updateNode = (id, update) => nodes.map((node) => (node.id === id ? update(node) : node));
+
+  switch (op.kind) {
+    case 'addNode':
+      if (hasNode(op.node.id)) return {};
+      return { nodes: [...nodes, toFlowNode(op.node)] };
+    case 'removeNode':
+      return {
+        nodes: nodes.filter((n) => n.id !== op.id),
+        edges: edges.filter((e) => e.source !== op.id && e.target !== op.id),
+        selectedNode: selectedNode?.id === op.id ? null : selectedNode,
+      };
+    case 'updateNodeConfig':
+      return {
+        nodes: updateNode(op.id, (node) => ({
+          ...node,
+          data: { ...node.data, config: { ...node.data.config, ...op.config } },
+        })),
+      };
+    case 'updateNodeLabel':
+      return { nodes: updateNode(op.id, (node) => ({ ...node, data: { ...node.data, label: op.label } })) };
+    case 'moveNode':
+      return { nodes: updateNode(op.id, (node) => ({ ...node, position: op.position })) };
+    case 'addEdge':
+      if (edges.some((e) => e.id === op.edge.id)) return {};
+      if (!hasNode(op.edge.source) || !hasNode(op.edge.target)) return {};
+      return { edges: [...edges, toFlowEdge(op.edge)] };
+    case 'updateEdgeType':
+      return {
+        edges: edges.map((edge) =>
+          edge.id === op.id ? { ...toFlowEdge({ ...edge, type: op.type }), selected: edge.selected } : edge
+        ),
+      };
+    case 'removeEdge':
+      return { edges: edges.filter((e) => e.id !== op.id) };
+    case 'replaceDesign':
+      return {
+        nodes: op.services.map(toFlowNode),
+        edges: op.connections.map(toFlowEdge),
+        selectedNode: null,
+        selectedEdgeId: null,
+      };
+    default:
+      return {};
+  }
+};
+
+// Starting tier of each template category: gateways and frontends on top, data stores at the bottom
+const CATEGORY_TIERS = { Gateway: 0, Frontend: 0, Backend: 1, Database: 2, Messaging: 2, Observability: 2, 'Cache & Others': 2 };
+const LAYER_SPACING = 180;
+const NODE_SPACING = 250;
+
+// Layered auto-layout, the same algorithm as the backend layout service:
+// nodes start in their category's tier and sit below every node that connects
+// to them. Returns a map of node id to position.
+const layoutNodes = (nodes, edges) => {
+  const ids = new Set(nodes.map((n) => n.id));
+  const links = edges.filter((e) => ids.has(e.source) && ids.has(e.target) && e.source !== e.target);
+
+  // Drop edges that close a cycle so layering terminates
+  const state = new Map();
+  const backEdges = new Set();
+  const visit = (id) => {
+    state.set(id, 'active');
+    links.filter((e) => e.source === id).forEach((e) => {
+      if (state.get(e.target) === 'active') backEdges.add(e);
+      else if (!state.has(e.target)) visit(e.target);
+    });
+    state.set(id, 'done');
+  };
+  nodes.forEach((n) => !state.has(n.id) && visit(n.id));
+  const forward = links.filter((e) => !backEdges.has(e));
+
+  const layers = new Map(
+    nodes.map((n) => {
+      const category = getTemplate(n.data.type)?.category;
+      return [n.id, category in CATEGORY_TIERS ? CATEGORY_TIERS[category] : 1];
+    })
+  );
+  for (let pass = 0; pass < nodes.length; pass++) {
+    let changed = false;
+    forward.forEach(({ source, target }) => {
+      if (layers.get(target) < layers.get(source) + 1) {
+        layers.set(target, layers.get(source) + 1);
+        changed = true;
+      }
+    });
+    if (!changed) break;
+  }
+
+  // Compact empty layers, then order rows by the average column of the nodes above
+  const used = [...new Set(layers.values())].sort((a, b) => a - b);
+  const rows = used.map(() => []);
+  nodes.forEach((n) => rows[used.indexOf(layers.get(n.id))].push(n.id));
+
+  const column = new Map();
+  rows.forEach((row, layer) => {
+    if (layer > 0) {
+      const barycenter = (id) => {
+        const above = links.filter((e) => e.target === id && column.has(e.source)).map((e) => column.get(e.source));
+        return above.length > 0 ? above.reduce((sum, value) => sum + value, 0) / above.length : Infinity;
+      };
+      const order = new Map(row.map((id, index) => [id, [barycenter(id), index]]));
+      row.sort((a, b) => order.get(a)[0] - order.get(b)[0] || order.get(a)[1] - order.get(b)[1]);
+    }
+    row.forEach((id, index) => column.set(id, index));
+  });
+
+  const widest = Math.max(...rows.map((row) => row.length));
+  const positions = new Map();
+  rows.forEach((row, layer) => {
+    const offset = ((widest - row.length) * NODE_SPACING) / 2;
+    row.forEach((id, index) => {
+      positions.set(id, { x: 100 + offset + index * NODE_SPACING, y: 100 + layer * LAYER_SPACING });
+    });
+  });
+  return positions;
+};
+
 export const useCanvasStore = create((set, get) => ({
   nodes: initialNodes,
   edges: initialEdges,
   selectedNode: null,
+  selectedEdgeId: null,
   projectName: 'My Project',
   projectDescription: '',
+  projectTags: [],
+  projectMetadata: {},
+  isPublic: false,
+  // Set by the collaboration store to share local edits with other sessions
+  operationListener: null,
 
   setNodes: (nodes) => set({ nodes }),
   setEdges: (edges) => set({ edges }),
-  
-  addNode: (type, label, config = {}) => {
+  setOperationListener: (listener) => set({ operationListener: listener }),
+
+  dispatch: (op) => {
+    set(applyOperation(get(), op));
+    get().operationListener?.(op);
+  },
+
+  applyRemoteOperation: (op) => set(applyOperation(get(), op)),
+
+  addNode: (type, label, config = {}, position = null) => {
     const id = uuidv4();
-    const newNode = {
-      id,
-      type: 'serviceNode',
-      position: { x: Math.random() * 400 + 100, y: Math.random() * 300 + 100 },
-      data: {
+
+    get().dispatch({
+      kind: 'addNode',
+      node: {
         id,
         type,
         label,
-        icon: getServiceIcon(type),
+        position: position || { x: Math.random() * 400 + 100, y: Math.random() * 300 + 100 },
         config: {
           port: config.port || getDefaultPort(type),
           environment: config.environment || {},
@@ -32,103 +226,110 @@ export const useCanvasStore = create((set, get) => ({
           ...config,
         },
       },
-    };
-
-    set({ nodes: [...get().nodes, newNode] });
+    });
     return id;
   },
 
   removeNode: (nodeId) => {
-    set({
-      nodes: get().nodes.filter((n) => n.id !== nodeId),
-      edges: get().edges.filter((e) => e.source !== nodeId && e.target !== nodeId),
-      selectedNode: get().selectedNode?.id === nodeId ? null : get().selectedNode,
-    });
+    get().dispatch({ kind: 'removeNode', id: nodeId });
   },
 
   updateNodeConfig: (nodeId, config) => {
-    set({
-      nodes: get().nodes.map((node) =>
-        node.id === nodeId
-          ? { ...node, data: { ...node.data, config: { ...node.data.config, ...config } } }
-          : node
-      ),
-    });
+    get().dispatch({ kind: 'updateNodeConfig', id: nodeId, config });
   },
 
   updateNodeLabel: (nodeId, label) => {
-    set({
-      nodes: get().nodes.map((node) =>
-        node.id === nodeId
-          ? { ...node, data: { ...node.data, label } }
-          : node
-      ),
+    get().dispatch({ kind: 'updateNodeLabel', id: nodeId, label });
+  },
+
+  moveNode: (nodeId, position) => {
+    get().dispatch({ kind: 'moveNode', id: nodeId, position });
+  },
+
+  // Arrange every node in tiers; each move is shared with collaborators
+  autoLayout: () => {
+    const { nodes, edges } = get();
+    const positions = layoutNodes(nodes, edges);
+
+    nodes.forEach((node) => {
+      const position = positions.get(node.id);
+      if (position.x !== node.position.x || position.y !== node.position.y) {
+        get().moveNode(node.id, position);
+      }
     });
   },
 
-  addEdge: (source, target) => {
-    const id = `edge-${source}-${target}`;
-    const edgeExists = get().edges.some((e) => e.id === id);
-    
-    if (!edgeExists) {
-      const newEdge = {
-        id,
-        source,
-        target,
-        type: 'smoothstep',
-        animated: true,
-      };
-      set({ edges: [...get().edges, newEdge] });
-    }
+  addEdge: (source, target, type = 'default') => {
+    get().dispatch({ kind: 'addEdge', edge: { id: `edge-${source}-${target}`, source, target, type } });
   },
 
-  setSelectedNode: (node) => set({ selectedNode: node }),
+  updateEdgeType: (edgeId, type) => {
+    get().dispatch({ kind: 'updateEdgeType', id: edgeId, type });
+  },
+
+  removeEdge: (edgeId) => {
+    get().dispatch({ kind: 'removeEdge', id: edgeId });
+  },
+
+  // Swap in a whole design, e.g. a restored version, for every collaborator
+  replaceDesign: ({ services, connections }) => {
+    get().dispatch({
+      kind: 'replaceDesign',
+      services: services.map(({ id, type, label, position, config }) => ({ id, type, label, position, config })),
+      connections: (connections || []).map(({ id, source, target, type }) => ({ id, source, target, type })),
+    });
+  },
+
+  setSelectedNode: (node) => set({ selectedNode: node, selectedEdgeId: null }),
+  setSelectedEdge: (edgeId) => set({ selectedEdgeId: edgeId, selectedNode: null }),
   
   setProjectName: (name) => set({ projectName: name }),
   setProjectDescription: (description) => set({ projectDescription: description }),
+  setProjectTags: (tags) => set({ projectTags: tags }),
+  setIsPublic: (isPublic) => set({ isPublic }),
+  setProjectMetadata: (changes) => set((state) => ({ projectMetadata: { ...state.projectMetadata, ...changes } })),
 
   clearCanvas: () => set({
     nodes: [],
     edges: [],
     selectedNode: null,
+    selectedEdgeId: null,
+    projectTags: [],
+    projectMetadata: {},
+    isPublic: false,
   }),
 
   loadProject: (project) => {
-    const nodes = project.services.map((service) => ({
-      id: service.id,
-      type: 'serviceNode',
-      position: service.position || { x: Math.random() * 400, y: Math.random() * 300 },
-      data: {
-        id: service.id,
-        type: service.type,
-        label: service.label,
-        icon: getServiceIcon(service.type),
-        config: service.config || {},
-      },
-    }));
-
-    const edges = (project.connections || []).map((conn) => ({
-      id: conn.id,
-      source: conn.source,
-      target: conn.target,
-      type: 'smoothstep',
-      animated: true,
-    }));
-
     set({
-      nodes,
-      edges,
+      nodes: project.services.map(toFlowNode),
+      edges: (project.connections || []).map(toFlowEdge),
       projectName: project.name,
       projectDescription: project.description || '',
+      projectTags: project.tags || [],
+      projectMetadata: project.metadata || {},
+      isPublic: Boolean(project.isPublic),
+    });
+  },
+
+  // Replace the design with the shared state of a collaboration session
+  loadSharedState: ({ services, connections }) => {
+    set({
+      nodes: services.map(toFlowNode),
+      edges: connections.map(toFlowEdge),
+      selectedNode: null,
+      selectedEdgeId: null,
     });
   },
 
   getProjectData: () => {
-    const { nodes, edges, projectName, projectDescription } = get();
+    const { nodes, edges, projectName, projectDescription, projectTags, projectMetadata, isPublic } = get();
     
     return {
       name: projectName,
       description: projectDescription,
+      tags: projectTags,
+      metadata: projectMetadata,
+      isPublic,
       services: nodes.map((node) => ({
         id: node.data.id,
         type: node.data.type,
@@ -140,42 +341,8 @@ export const useCanvasStore = create((set, get) => ({
         id: edge.id,
         source: edge.source,
         target: edge.target,
-        type: edge.type || 'default',
+        type: edge.data?.connectionType || 'default',
       })),
     };
   },
 }));
-
-function getServiceIcon(type) {
-  const icons = {
-    react: '⚛️',
-    vue: '💚',
-    angular: '🅰️',
-    node: '🟢',
-    'python-flask': '🐍',
-    'python-fastapi': '⚡',
-    mongodb: '🍃',
-    postgresql: '🐘',
-    mysql: '🐬',
-    redis: '🔴',
-    pyspark: '✨',
-  };
-  return icons[type] || '📦';
-}
-
-function getDefaultPort(type) {
-  const ports = {
-    react: 3000,
-    vue: 8080,
-    angular: 4200,
-    node: 5000,
-    'python-flask': 5000,
-    'python-fastapi': 8000,
-    mongodb: 27017,
-    postgresql: 5432,
-    mysql: 3306,
-    redis: 6379,
-    pyspark: 8080,
-  };
-  return ports[type] || 8080;
-}
@@ -0,0 +1,162 @@
+import { create } from 'zustand';
+import { getWebSocketUrl } from '../api/api';
+import { useCanvasStore } from './canvasStore';
+
+const RECONNECT_DELAY = 3000;
+const CURSOR_THROTTLE = 50;
+
+// Fields with local edits the server has not acknowledged yet. A remote write to
+// such a field was ordered before ours, so ours wins everywhere and it is skipped.
+const pendingFields = new Map();
+
+const fieldKeys = (op) => {
+  switch (op.kind) {
+    case 'updateNodeConfig':
+      return Object.keys(op.config).map((key) => `${op.id}:config.${key}`);
+    case 'updateNodeLabel':
+      return [`${op.id}:label`];
+    case 'moveNode':
+      return [`${op.id}:position`];
+    case 'updateEdgeType':
+      return [`${op.id}:type`];
+    default:
+      return [];
+  }
+};
+
+const trackPending = (op, delta) => {
+  fieldKeys(op).forEach((key) => {
+    const count = (pendingFields.get(key) || 0) + delta;
+    if (count > 0) pendingFields.set(key, count);
+    else pendingFields.delete(key);
+  });
+};
+
+// Drop the parts of a remote operation that our own pending edits will overwrite
+const withoutPendingFields = (op) => {
+  if (op.kind === 'updateNodeConfig') {
+    const config = Object.fromEntries(
+      Object.entries(op.config).filter(([key]) => !pendingFields.has(`${op.id}:config.${key}`))
+    );
+    return Object.keys(config).length > 0 ? { ...op, config } : null;
+  }
+
+  return fieldKeys(op).some((key) => pendingFields.has(key)) ? null : op;
+};
+
+let reconnectTimer = null;
+let lastCursorSent = 0;
+
+export const useCollaborationStore = create((set, get) => ({
+  socket: null,
+  projectId: null,
+  clientId: null,
+  connected: false,
+  peers: [],
+  // Local edits made while disconnected, replayed once the session is back
+  queuedOperations: [],
+
+  connect: (projectId) => {
+    const token = localStorage.getItem('token');
+    if (!token || !projectId) return;
+
+    get().disconnect();
+    set({ projectId });
+
+    const socket = new WebSocket(getWebSocketUrl('/ws', { token, projectId }));
+
+    socket.onmessage = (event) => {
+      const message = JSON.parse(event.data);
+      get().handleMessage(message);
+    };
+
+    socket.onclose = () => {
+      if (get().socket !== socket) return;
+
+      // Only retry sessions that were established; rejected ones stay closed
+      const wasConnected = get().connected;
+      set({ socket: null, connected: false, peers: [] });
+
+      if (wasConnected && get().projectId === projectId) {
+        reconnectTimer = setTimeout(() => get().connect(projectId), RECONNECT_DELAY);
+      }
+    };
+
+    set({ socket });
+
+    useCanvasStore.getState().setOperationListener((op) => {
+      const { socket: current, connected } = get();
+
+      if (current && connected) {
+        trackPending(op, 1);
+        current.send(JSON.stringify({ type: 'op', op }));
+      } else {
+        set({ queuedOperations: [...get().queuedOperations, op] });
+      }
+    });
+  },
+
+  disconnect: () => {
+    clearTimeout(reconnectTimer);
+    const { socket } = get();
+
+    set({ socket: null, projectId: null, clientId: null, connected: false, peers: [], queuedOperations: [] });
+    pendingFields.clear();
+    useCanvasStore.getState().setOperationListener(null);
+
+    if (socket) socket.close();
+  },
+
+  handleMessage: (message) => {
+    const canvas = useCanvasStore.getState();
+
+    switch (message.type) {
+      case 'sync': {
+        pendingFields.clear();
+        canvas.loadSharedState(message.state);
+        set({ clientId: message.clientId, connected: true, peers: message.peers });
+
+        // Re-apply edits made offline on top of the shared state
+        const queued = get().queuedOperations;
+        set({ queuedOperations: [] });
+        queued.forEach((op) => canvas.dispatch(op));
+        break;
+      }
+      case 'op':
+        if (message.clientId === get().clientId) {
+          trackPending(message.op, -1);
+          break;
+        }
+        {
+          const op = withoutPendingFields(message.op);
+          if (op) canvas.applyRemoteOperation(op);
+        }
+        break;
+      case 'presence':
+        set({ peers: message.peers });
+        break;
+      case 'cursor':
+        set({
+          peers: get().peers.map((peer) =>
+            peer.clientId === message.clientId ? { ...peer, cursor: message.position } : peer
+          ),
+        });
+        break;
+      case 'error':
+        console.warn('Collaboration error:', message.error);
+        break;
+      default:
+        break;
+    }
+  },
+
+  sendCursor: (position) => {
+    const { socket, connected } = get();
+    const now = Date.now();
+
+    if (!socket || !connected || now - lastCursorSent < CURSOR_THROTTLE) return;
+
+    lastCursorSent = now;
+    socket.send(JSON.stringify({ type: 'cursor', position }));
+  },
+}));
@@ -0,0 +1,76 @@
+import { create } from 'zustand';
+import { templatesAPI } from '../api/api';
+
+// Tailwind only ships classes it can see in the source, so template colors
+// are names that map onto this fixed set of class strings.
+const COLOR_CLASSES = {
+  blue: { palette: 'bg-blue-100 border-blue-300', node: 'bg-blue-50' },
+  green: { palette: 'bg-green-100 border-green-400', node: 'bg-green-50' },
+  red: { palette: 'bg-red-100 border-red-300', node: 'bg-red-50' },
+  gray: { palette: 'bg-gray-100 border-gray-400', node: 'bg-gray-50' },
+  teal: { palette: 'bg-teal-100 border-teal-400', node: 'bg-teal-50' },
+  yellow: { palette: 'bg-yellow-100 border-yellow-400', node: 'bg-yellow-50' },
+  purple: { palette: 'bg-purple-100 border-purple-400', node: 'bg-purple-50' },
+  orange: { palette: 'bg-orange-100 border-orange-400', node: 'bg-orange-50' },
+};
+
+export const useTemplateStore = create((set, get) => ({
+  categories: [],
+  templates: {},
+  loading: false,
+  loaded: false,
+  error: null,
+  customTemplatesEnabled: false,
+
+  fetchTemplates: async (force = false) => {
+    if (get().loading || (get().loaded && !force)) return;
+
+    set({ loading: true });
+
+    try {
+      const response = await templatesAPI.getAll();
+      const { templates: categories, customTemplatesEnabled } = response.data;
+      const templates = {};
+
+      categories.forEach((category) => {
+        category.services.forEach((service) => {
+          templates[service.type] = service;
+        });
+      });
+
+      set({ categories, templates, customTemplatesEnabled, loaded: true, error: null });
+    } catch (error) {
+      console.error('Failed to load service templates:', error);
+      set({ error: 'Failed to load service templates' });
+    } finally {
+      set({ loading: false });
+    }
+  },
+
+  uploadTemplate: async (file, organizationId) => {
+    const response = await templatesAPI.upload(file, organizationId);
+    await get().fetchTemplates(true);
+    return response.data.template;
+  },
+
+  deleteTemplate: async (type) => {
+    await templatesAPI.delete(type);
+    await get().fetchTemplates(true);
+  },
+}));
+
+export function getTemplate(type) {
+  return useTemplateStore.getState().templates[type] || null;
+}
+
+export function getServiceIcon(type) {
+  return getTemplate(type)?.icon || '📦';
+}
+
+export function getDefaultPort(type) {
+  return getTemplate(type)?.defaultPort || 8080;
+}
+
+export function getColorClasses(color) {
+  return COLOR_CLASSES[color] || { palette: 'bg-white border-gray-300', node: 'bg-white' };
+}
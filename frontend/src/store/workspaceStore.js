@@ -0,0 +1,48 @@
+import { create } from 'zustand';
+import { organizationsAPI } from '../api/api';
+
+// 'all', 'personal' or an organization id
+const WORKSPACE_KEY = 'workspace';
+
+export const useWorkspaceStore = create((set, get) => ({
+  organizations: [],
+  workspace: localStorage.getItem(WORKSPACE_KEY) || 'all',
+  loaded: false,
+
+  fetchOrganizations: async () => {
+    try {
+      const response = await organizationsAPI.getAll();
+      const organizations = response.data.organizations;
+      const { workspace } = get();
+
+      // Fall back when the stored organization is gone or we left it
+      const known = ['all', 'personal'].includes(workspace) ||
+        organizations.some((org) => org._id === workspace);
+
+      set({ organizations, loaded: true });
+      if (!known) get().setWorkspace('all');
+    } catch (error) {
+      console.error('Failed to load organizations:', error);
+    }
+  },
+
+  setWorkspace: (workspace) => {
+    localStorage.setItem(WORKSPACE_KEY, workspace);
+    set({ workspace });
+  },
+
+  createOrganization: async (name) => {
+    const response = await organizationsAPI.create({ name });
+    const organization = response.data.organization;
+
+    await get().fetchOrganizations();
+    get().setWorkspace(organization._id);
+    return organization;
+  },
+}));
+
+// Organization the current workspace points at, if any
+export function getCurrentOrganization() {
+  const { organizations, workspace } = useWorkspaceStore.getState();
+  return organizations.find((org) => org._id === workspace) || null;
+}